@@ -0,0 +1,81 @@
+/**
+ * Analytics
+ *
+ * Connects the theme's analytics events to the adapter chosen in the theme
+ * settings, rendered on `<html>`: `data-analytics-adapter` ('data-layer' or
+ * 'beacon' with `data-analytics-endpoint`) and `data-analytics-consent` when
+ * events have to wait for the visitor's consent. A consent banner grants or
+ * denies it with `window.theme.analytics.consent(true | false)`; the choice
+ * is remembered.
+ *
+ * Product card clicks are tracked here as `product_click` with the card's
+ * position in its section and the section id.
+ *
+ */
+
+import {
+  analytics,
+  analyticsAdapters
+} from './utils.js'
+
+const AnalyticsConfig = {
+  selectors: {
+    doc: document.documentElement,
+    card: '.product-card',
+    cardLink: '.product-card__link',
+    section: '[data-section-id]'
+  },
+  attr: {
+    adapter: 'data-analytics-adapter',
+    consent: 'data-analytics-consent',
+    endpoint: 'data-analytics-endpoint',
+    section: 'data-section-id'
+  },
+  adapters: {
+    'data-layer': () => analyticsAdapters.dataLayer(),
+    beacon: (endpoint) => endpoint ? analyticsAdapters.beacon(endpoint) : analyticsAdapters.none()
+  }
+}
+
+const createAdapter = () => {
+  const { adapters, attr, selectors } = AnalyticsConfig
+  const create = adapters[selectors.doc.getAttribute(attr.adapter)]
+
+  return create ? create(selectors.doc.getAttribute(attr.endpoint)) : analyticsAdapters.none()
+}
+
+const handleProductClick = (event) => {
+  const { attr, selectors } = AnalyticsConfig
+
+  if (event.type === 'auxclick' && event.button !== 1) return
+
+  const link = event.target.closest?.(selectors.cardLink)
+  if (!link) return
+
+  const card = link.closest(selectors.card)
+  const section = card.closest(selectors.section)
+  const cards = Array.from((section || document).querySelectorAll(selectors.card))
+
+  analytics.track('product_click', {
+    position: cards.indexOf(card) + 1,
+    section_id: section?.getAttribute(attr.section) || null,
+    url: link.href
+  })
+}
+
+const initAnalytics = () => {
+  const { attr, selectors } = AnalyticsConfig
+
+  analytics.use(createAdapter())
+
+  // Without the consent setting, the store's own policy covers the events
+  if (!selectors.doc.hasAttribute(attr.consent)) analytics.consent(true, { remember: false })
+
+  window.theme = window.theme || {}
+  window.theme.analytics = analytics
+
+  document.addEventListener('click', handleProductClick)
+  document.addEventListener('auxclick', handleProductClick)
+}
+
+initAnalytics()
@@ -0,0 +1,235 @@
+/**
+ * Anchor Navigation
+ *
+ * Keeps in-page anchors (`#main`, section and block ids) clear of the sticky
+ * header, the top bar and the preview bar. Same-page hash links and a hash
+ * in the initial URL scroll the target just below whatever covers the top
+ * of the viewport once the scroll ends: smoothly, or instantly with reduced
+ * motion. Focus moves to the target so keyboard and screen reader users
+ * continue from there.
+ *
+ * The currently covered height is also published as `--anchor-offset`, which
+ * the page uses as `scroll-padding-top` for native jumps and focus scrolling.
+ *
+ */
+
+import {
+  componentRegistry,
+  eventBus,
+  frameSequence,
+  onReady,
+  policy,
+  releaseOverlayHistory,
+  resizeObserver,
+  scrollLock,
+  setChecked,
+  setCssVar,
+  getDimensions
+} from './utils.js'
+
+const AnchorConfig = {
+  selectors: {
+    doc: document.documentElement,
+    bar: '.top-bar',
+    barRoot: '[data-component~="top-bar"]',
+    header: '.header',
+    inner: '.header__inner',
+    link: 'a[href*="#"]',
+    menuOpener: '#header-opener-menu',
+    preview: '.preview-bar__container'
+  },
+  classes: {
+    hidden: 'header__inner--hidden',
+    scrolled: 'scrolled',
+    sticky: 'header__inner--sticky'
+  },
+  attr: {
+    // Set by the top bar section, see top-bar.js
+    hideAfter: 'data-hide-after',
+    scrollHide: 'data-scroll-hide'
+  },
+  cssVars: {
+    offset: '--anchor-offset'
+  },
+  frameKeys: {
+    offset: 'anchors:offset'
+  },
+  events: ['header:hidden', 'header:shown', 'topbar:hidden', 'topbar:shown'],
+  // Breathing room between the covered area and the target
+  gap: 16
+}
+
+const AnchorDOM = () => {
+  const { selectors } = AnchorConfig
+
+  const get = (key) => document.querySelector(selectors[key])
+
+  // Target of a same-page hash link, or null for links to other pages
+  const targetOf = (link) => {
+    const url = new URL(link.href, window.location.href)
+    const here = window.location
+
+    if (url.origin !== here.origin || url.pathname !== here.pathname || url.search !== here.search) return null
+
+    return fromHash(url.hash)
+  }
+
+  const fromHash = (hash) => {
+    if (!hash || hash === '#') return null
+
+    let id = hash.slice(1)
+
+    try {
+      id = decodeURIComponent(id)
+    } catch {
+      return null
+    }
+
+    return document.getElementById(id) || document.getElementsByName(id)[0] || null
+  }
+
+  return {
+    get,
+    targetOf,
+    fromHash
+  }
+}
+
+// Height covering the top of the viewport, now or after scrolling to `y`
+const AnchorOffset = (dom) => {
+  const { classes } = AnchorConfig
+
+  const calculate = (y = null) => {
+    const inner = dom.get('inner')
+    let offset = getDimensions(dom.get('preview')).height
+
+    if (!inner?.classList.contains(classes.sticky)) return offset
+
+    const down = y !== null && y > window.scrollY
+    const header = getDimensions(dom.get('header')).height
+    const bar = getDimensions(dom.get('bar')).height
+    // The top bar stays shown until the page is past this point
+    const hideAfter = parseInt(dom.get('barRoot')?.getAttribute(AnchorConfig.attr.hideAfter)) || 0
+
+    const headerHidden = y === null ?
+      inner.classList.contains(classes.hidden) :
+      down && inner.hasAttribute(AnchorConfig.attr.scrollHide) && y > header
+
+    const barHidden = y === null ?
+      AnchorConfig.selectors.doc.classList.contains(classes.scrolled) :
+      down && y > Math.max(hideAfter, bar)
+
+    if (headerHidden) return offset
+
+    offset += header
+    if (barHidden) offset -= bar
+
+    return offset
+  }
+
+  return {
+    calculate
+  }
+}
+
+const AnchorScroller = (offset) => {
+  const positionOf = (target) => {
+    const top = target.getBoundingClientRect().top + window.scrollY
+    const y = Math.max(top - offset.calculate() - AnchorConfig.gap, 0)
+
+    // Where the page ends up decides whether the header and top bar cover it
+    return Math.max(top - offset.calculate(y) - AnchorConfig.gap, 0)
+  }
+
+  const focus = (target) => {
+    if (target.tabIndex < 0 && !target.hasAttribute('tabindex')) {
+      target.setAttribute('tabindex', '-1')
+    }
+
+    target.focus({ preventScroll: true })
+  }
+
+  const scrollTo = (target, { smooth = true } = {}) => {
+    window.scrollTo({
+      top: positionOf(target),
+      behavior: smooth && !policy.reducedMotion ? 'smooth' : 'auto'
+    })
+
+    focus(target)
+  }
+
+  return {
+    scrollTo
+  }
+}
+
+const AnchorInstance = () => {
+  const dom = AnchorDOM()
+  const offset = AnchorOffset(dom)
+  const scroller = AnchorScroller(offset)
+
+  const publish = () => {
+    const write = (value) => {
+      setCssVar(AnchorConfig.cssVars.offset, `${value}px`, AnchorConfig.selectors.doc)
+    }
+
+    frameSequence(offset.calculate, write, AnchorConfig.frameKeys.offset)
+  }
+
+  const handleClick = (event) => {
+    if (event.defaultPrevented || event.button !== 0) return
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return
+
+    const link = event.target.closest?.(AnchorConfig.selectors.link)
+    if (!link || link.target === '_blank' || link.hasAttribute('download')) return
+
+    const target = dom.targetOf(link)
+    if (!target) return
+
+    event.preventDefault()
+
+    // The open mobile menu locks the page, close it before scrolling. Its
+    // history entry stays, stepping back from it would undo this navigation
+    if (scrollLock.locked) {
+      releaseOverlayHistory()
+      setChecked(dom.get('menuOpener'), false)
+    }
+
+    if (window.location.hash !== link.hash) window.history.pushState(null, '', link.hash)
+    scroller.scrollTo(target)
+  }
+
+  // The browser already jumped to the hash, correct it once the layout settled
+  const handleInitialHash = () => {
+    const target = dom.fromHash(window.location.hash)
+    if (target) scroller.scrollTo(target, { smooth: false })
+  }
+
+  return {
+    publish,
+    handleClick,
+    handleInitialHash,
+    header: () => dom.get('header')
+  }
+}
+
+const anchors = AnchorInstance()
+
+const mountAnchors = () => {
+  // The header height changes with its shrunk and hidden states and late images
+  const observer = resizeObserver(anchors.publish, { element: anchors.header(), width: false })
+  const unsubscribers = AnchorConfig.events.map(name => eventBus.on(name, anchors.publish))
+
+  document.addEventListener('click', anchors.handleClick)
+  observer.init()
+  anchors.publish()
+
+  return () => {
+    document.removeEventListener('click', anchors.handleClick)
+    unsubscribers.forEach(unsubscribe => unsubscribe())
+    observer.destroy()
+  }
+}
+
+onReady(anchors.handleInitialHash)
+componentRegistry().register('anchors', mountAnchors)
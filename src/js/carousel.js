@@ -2,10 +2,15 @@
  * Carousel component
  *
  * Handles carousel functionality:
- * - Initializes Embla carousel
+ * - Initializes Embla carousel, with per-instance options from `data-carousel-options`
  * - Manages navigation buttons (prev/next) and dot indicators
  * - Autoplay with configurable pause on hover and stop on interaction
+ * - Pause/play button for autoplay, which also pauses while focus is inside
  * - Visibility-based autoplay (pauses when out of viewport)
+ * - No autoplay while the motion policy asks for reduced motion
+ * - Announces slide changes as `carousel:select` theme events
+ * - Slides labelled "3 of 8", changes not made by autoplay read out by screen
+ *   readers, arrow keys to move between slides and off-screen slides `inert`
  * - Slide count logic handled by Liquid template (carousel only renders when >4 slides)
  * - Performance optimizations:
  *   - frameSequence for DOM read/write batching
@@ -15,9 +20,14 @@
 
 import EmblaCarousel from 'embla-carousel'
 import {
+  announce,
+  breakpoints,
+  debug,
+  eventBus,
   frameSequence,
-  cleanupSystem,
-  intersectionObserver
+  componentRegistry,
+  intersectionObserver,
+  policy
 } from './utils.js'
 
 const CarouselConfig = {
@@ -28,17 +38,41 @@ const CarouselConfig = {
     carousel: '.carousel',
     dot: '.carousel__dot',
     slide: '.carousel__slide',
+    toggle: '.carousel__toggle',
     viewport: '.carousel__container'
   },
   classes: {
     active: 'active',
-    initialized: 'initialized'
+    initialized: 'initialized',
+    paused: 'paused'
   },
   attr: {
     current: 'aria-current',
+    hidden: 'hidden',
+    inert: 'inert',
+    label: 'aria-label',
+    options: 'data-carousel-options',
     pause: 'data-pause',
+    pauseLabel: 'data-pause-label',
+    playLabel: 'data-play-label',
+    role: 'role',
+    roleDescription: 'aria-roledescription',
+    selectLabel: 'data-select-label',
+    slideLabel: 'data-slide-label',
+    slideRoleLabel: 'data-slide-role-label',
     timer: 'data-timer'
   },
+  keys: {
+    next: 'ArrowRight',
+    prev: 'ArrowLeft'
+  },
+  messages: {
+    pause: 'Pause slideshow',
+    play: 'Play slideshow',
+    select: 'Slide {index} of {total}',
+    slide: '{index} of {total}',
+    slideRole: 'slide'
+  },
   options: {
     align: 'center',
     containScroll: false,
@@ -49,33 +83,64 @@ const CarouselConfig = {
     skipSnaps: false,
     slidesToScroll: 1
   },
+  // Per-breakpoint overrides of the options above, e.g. `md: { align: 'start' }`
+  breakpoints: {},
   autoplay: {
     stopInteraction: true
   }
 }
 
-const CarouselDOM = () => {
-  const elements = new Map()
-
-  const init = () => {
-    const carousels = document.querySelectorAll(CarouselConfig.selectors.carousel)
-    elements.set('carousels', Array.from(carousels))
-
-    return elements.get('carousels').length > 0
+const CarouselOptions = () => {
+  // Embla expects media queries as keys of its `breakpoints` option
+  const toMediaQueries = (overrides) => {
+    return Object.entries(overrides).reduce((queries, [name, options]) => {
+      const query = breakpoints.query(name)
+      if (query) queries[query] = options
+      return queries
+    }, {})
+  }
+
+  const resolve = (options = CarouselConfig.options, overrides = CarouselConfig.breakpoints) => ({
+    ...options,
+    breakpoints: toMediaQueries(overrides)
+  })
+
+  // Only the options the theme configures can be set per instance, unset ones keep the default
+  const pick = (options) => {
+    return Object.keys(CarouselConfig.options).reduce((picked, key) => {
+      if (options?.[key] !== undefined && options[key] !== null) picked[key] = options[key]
+      return picked
+    }, {})
+  }
+
+  const read = (carousel) => {
+    const raw = carousel.getAttribute(CarouselConfig.attr.options)
+    if (!raw) return {}
+
+    try {
+      const options = JSON.parse(raw)
+      return options && typeof options === 'object' ? options : {}
+    } catch (error) {
+      debug('Invalid carousel options:', error)
+      return {}
+    }
   }
 
-  const get = (key) => {
-    return elements.get(key)
-  }
+  // `{ "loop": false, "breakpoints": { "md": { "align": "start" } } }` on top of the config
+  const forCarousel = (carousel) => {
+    const { breakpoints: instanceOverrides, ...instanceOptions } = read(carousel)
+    const overrides = { ...CarouselConfig.breakpoints }
 
-  const cleanup = () => {
-    elements.clear()
+    Object.entries(instanceOverrides || {}).forEach(([name, options]) => {
+      overrides[name] = { ...overrides[name], ...pick(options) }
+    })
+
+    return resolve({ ...CarouselConfig.options, ...pick(instanceOptions) }, overrides)
   }
 
   return {
-    init,
-    get,
-    cleanup
+    resolve,
+    forCarousel
   }
 }
 
@@ -91,19 +156,46 @@ const CarouselButtonsRenderer = (carousel) => {
   }
 }
 
+// Embla groups slides into one snap when several fit the viewport or `slidesToScroll` is above 1.
+// Only its engine knows the groups, so the Embla version is pinned in package.json and theme.liquid.
+const CarouselSnaps = (embla) => {
+  const registry = () => embla['internalEngine']().slideRegistry
+
+  const slidesOf = (snap) => registry()[snap] || []
+
+  const snapOf = (slide) => registry().findIndex(group => group.includes(slide))
+
+  return {
+    slidesOf,
+    snapOf
+  }
+}
+
+// Slides are active while their snap is selected, dots stand for one snap each
 const CarouselItemsRenderer = (embla, carousel, selector, useAttr = false) => {
   const elements = Array.from(carousel.querySelectorAll(selector))
   if (!elements.length) return null
 
+  const snaps = CarouselSnaps(embla)
+  const frameKey = Symbol('carousel:items')
+
   const update = () => {
-    const read = () => ({
-      index: embla['selectedScrollSnap'](),
-      elements
-    })
+    const read = () => {
+      const index = embla['selectedScrollSnap']()
+
+      return {
+        active: useAttr ? [index] : snaps.slidesOf(index),
+        count: embla['scrollSnapList']().length,
+        elements
+      }
+    }
 
     const write = (data) => {
       data.elements.forEach((el, i) => {
-        if (i === data.index) {
+        // Dots rendered per slide that have no snap of their own
+        if (useAttr) el.toggleAttribute(CarouselConfig.attr.hidden, i >= data.count)
+
+        if (data.active.includes(i)) {
           el.classList.add(CarouselConfig.classes.active)
           if (useAttr) el.setAttribute(CarouselConfig.attr.current, 'true')
         } else {
@@ -113,7 +205,7 @@ const CarouselItemsRenderer = (embla, carousel, selector, useAttr = false) => {
       })
     }
 
-    frameSequence(read, write)
+    frameSequence(read, write, frameKey)
   }
 
   const get = () => elements
@@ -124,17 +216,98 @@ const CarouselItemsRenderer = (embla, carousel, selector, useAttr = false) => {
   }
 }
 
-const CarouselAutoplay = (embla, delay) => {
+// Translated by the sections through `data-*-label`, the messages are the fallback
+const carouselMessage = (carousel, name) => {
+  return carousel.getAttribute(CarouselConfig.attr[`${name}Label`]) || CarouselConfig.messages[name]
+}
+
+// Slides labelled for screen readers, off-screen ones out of the tab order
+const CarouselSlidesRenderer = (embla, carousel) => {
+  const { attr } = CarouselConfig
+  const slides = embla['slideNodes']()
+  const frameKey = Symbol('carousel:slides')
+
+  const label = () => {
+    const role = carouselMessage(carousel, 'slideRole')
+    const message = carouselMessage(carousel, 'slide')
+
+    slides.forEach((slide, index) => {
+      slide.setAttribute(attr.role, 'group')
+      slide.setAttribute(attr.roleDescription, role)
+      slide.setAttribute(attr.label, message
+        .replace('{index}', index + 1)
+        .replace('{total}', slides.length))
+    })
+  }
+
+  // Embla reports the slides in view once its observer has run
+  const update = () => {
+    const read = () => ({
+      visible: embla['slidesInView']()
+    })
+
+    const write = (data) => {
+      slides.forEach((slide, index) => {
+        data.visible.includes(index) ?
+          slide.removeAttribute(attr.inert) :
+          slide.setAttribute(attr.inert, '')
+      })
+    }
+
+    frameSequence(read, write, frameKey)
+  }
+
+  const release = () => {
+    slides.forEach(slide => slide.removeAttribute(attr.inert))
+  }
+
+  return {
+    label,
+    update,
+    release
+  }
+}
+
+const CarouselToggleRenderer = (carousel) => {
+  const { attr, classes, messages } = CarouselConfig
+  const toggle = carousel.querySelector(CarouselConfig.selectors.toggle)
+
+  if (!toggle) return null
+
+  const update = (playing) => {
+    const label = playing ?
+      toggle.getAttribute(attr.pauseLabel) || messages.pause :
+      toggle.getAttribute(attr.playLabel) || messages.play
+
+    toggle.setAttribute(attr.label, label)
+    carousel.classList.toggle(classes.paused, !playing)
+  }
+
+  return {
+    toggle,
+    update
+  }
+}
+
+const CarouselAutoplay = (embla, delay, onChange = () => {}) => {
   let autoplayInterval = null
   let autoplayActive = true
+  let autoplayAllowed = !policy.reducedMotion
+  let autoplayRotating = false
+
+  const autoplayPlaying = () => autoplayActive && autoplayAllowed
 
   const autoplayStart = () => {
-    if (!autoplayActive || autoplayInterval) return
+    if (!autoplayPlaying() || autoplayInterval) return
 
     const intervalHandler = () => {
+      autoplayRotating = true
+
       embla['canScrollNext']() ?
         embla['scrollNext']() :
         embla['scrollTo'](0)
+
+      autoplayRotating = false
     }
 
     autoplayInterval = setInterval(intervalHandler, delay)
@@ -158,6 +331,25 @@ const CarouselAutoplay = (embla, delay) => {
   const autoplayStopPermanently = () => {
     autoplayActive = false
     autoplayStop()
+    onChange(autoplayPlaying())
+  }
+
+  // Pressing play overrides reduced motion until the policy changes again
+  const autoplayPlay = () => {
+    autoplayActive = true
+    autoplayAllowed = true
+    autoplayStart()
+    onChange(autoplayPlaying())
+  }
+
+  const autoplayPolicy = ({ reducedMotion }) => {
+    autoplayAllowed = !reducedMotion
+
+    reducedMotion ?
+      autoplayStop() :
+      autoplayResume()
+
+    onChange(autoplayPlaying())
   }
 
   return {
@@ -165,12 +357,19 @@ const CarouselAutoplay = (embla, delay) => {
     autoplayStop,
     autoplayPause,
     autoplayResume,
-    autoplayStopPermanently
+    autoplayStopPermanently,
+    autoplayPlay,
+    autoplayPlaying,
+    autoplayPolicy,
+    autoplayRotating: () => autoplayRotating
   }
 }
 
-const CarouselProcessor = (embla, autoplay) => {
+const CarouselProcessor = (embla, carousel, autoplay) => {
+  const snaps = CarouselSnaps(embla)
+
   let isHovering = false
+  let isFocused = false
 
   const handlePrev = () => {
     embla['scrollPrev']()
@@ -184,15 +383,42 @@ const CarouselProcessor = (embla, autoplay) => {
     embla['scrollTo'](index)
   }
 
+  const handleSlide = (index) => {
+    const snap = snaps.snapOf(index)
+    if (snap >= 0) embla['scrollTo'](snap)
+  }
+
+  const handleToggle = () => {
+    if (!autoplay) return
+
+    autoplay.autoplayPlaying() ?
+      autoplay.autoplayStopPermanently() :
+      autoplay.autoplayPlay()
+  }
+
+  const handleKeydown = (e) => {
+    const { keys } = CarouselConfig
+    if (e.key !== keys.prev && e.key !== keys.next) return
+
+    e.preventDefault()
+
+    if (autoplay && CarouselConfig.autoplay.stopInteraction) autoplay.autoplayStopPermanently()
+
+    e.key === keys.next ?
+      embla['scrollNext']() :
+      embla['scrollPrev']()
+  }
+
   const handleCarousel = (e) => {
     if (!autoplay) return
     if (!CarouselConfig.autoplay.stopInteraction) return
+    if (e.target.closest(CarouselConfig.selectors.toggle)) return
 
     const isControl = e.target.closest(`${CarouselConfig.selectors.btn}, ${CarouselConfig.selectors.dot}`)
     if (isControl) {
       autoplay.autoplayStop()
 
-      if (!isHovering) autoplay.autoplayStart()
+      if (!isHovering && !isFocused) autoplay.autoplayStart()
 
       return
     }
@@ -211,20 +437,41 @@ const CarouselProcessor = (embla, autoplay) => {
     if (!autoplay) return
 
     isHovering = false
-    autoplay.autoplayResume()
+    if (!isFocused) autoplay.autoplayResume()
+  }
+
+  // Keyboard users get the same pause as hovering while focus is inside
+  const handleFocusIn = () => {
+    if (!autoplay) return
+
+    isFocused = true
+    autoplay.autoplayPause()
+  }
+
+  const handleFocusOut = (e) => {
+    if (!autoplay) return
+    if (carousel.contains(e.relatedTarget)) return
+
+    isFocused = false
+    if (!isHovering) autoplay.autoplayResume()
   }
 
   return {
     handlePrev,
     handleNext,
     handleDot,
+    handleSlide,
+    handleToggle,
+    handleKeydown,
     handleCarousel,
     handleMouseEnter,
-    handleMouseLeave
+    handleMouseLeave,
+    handleFocusIn,
+    handleFocusOut
   }
 }
 
-const CarouselEvents = (embla, carousel, buttonsHandler, slidesHandler, dotsHandler, autoplay, processor, pauseOnHover) => {
+const CarouselEvents = (embla, carousel, buttonsHandler, slidesHandler, dotsHandler, slidesRenderer, toggleHandler, autoplay, processor, pauseOnHover) => {
   const eventListeners = []
 
   const addEventListener = (element, event, handler, options = {}) => {
@@ -250,9 +497,31 @@ const CarouselEvents = (embla, carousel, buttonsHandler, slidesHandler, dotsHand
       dotsHandler?.update()
     }
 
+    const emitSelect = () => {
+      const index = embla['selectedScrollSnap']()
+
+      eventBus.emit('carousel:select', {
+        carousel,
+        index
+      })
+
+      // Rotation by autoplay would talk over everything else on the page
+      if (autoplay?.autoplayRotating()) return
+
+      announce(carouselMessage(carousel, 'select')
+        .replace('{index}', index + 1)
+        .replace('{total}', embla['scrollSnapList']().length))
+    }
+
+    slidesRenderer.label()
+
     embla['on']('select', updateAll)
+    embla['on']('select', emitSelect)
     embla['on']('init', updateAll)
     embla['on']('reInit', updateAll)
+    embla['on']('slidesInView', slidesRenderer.update)
+
+    addEventListener(carousel, 'keydown', processor.handleKeydown)
 
     eventListeners.push({
       element: embla,
@@ -262,6 +531,14 @@ const CarouselEvents = (embla, carousel, buttonsHandler, slidesHandler, dotsHand
 
     if (autoplay) {
       autoplay.autoplayStart()
+      toggleHandler?.update(autoplay.autoplayPlaying())
+
+      if (toggleHandler) {
+        addEventListener(toggleHandler.toggle, 'click', processor.handleToggle)
+      }
+
+      addEventListener(carousel, 'focusin', processor.handleFocusIn)
+      addEventListener(carousel, 'focusout', processor.handleFocusOut)
 
       if (pauseOnHover) {
         addEventListener(carousel, 'mouseenter', processor.handleMouseEnter, { passive: true })
@@ -301,11 +578,14 @@ const CarouselInstance = (carousel) => {
   let buttonsHandler = null
   let slidesHandler = null
   let dotsHandler = null
+  let slidesRenderer = null
+  let toggleHandler = null
   let autoplay = null
   let processor = null
   let eventManager = null
   let initialized = false
   let visibilityObserver = null
+  let unsubscribePolicy = null
 
   const initCarousel = () => {
     if (initialized) return
@@ -313,13 +593,15 @@ const CarouselInstance = (carousel) => {
     const timer = parseInt(carousel.getAttribute(CarouselConfig.attr.timer)) || 0
     const pause = carousel.getAttribute(CarouselConfig.attr.pause) === 'true'
 
-    embla = EmblaCarousel(viewport, CarouselConfig.options)
+    embla = EmblaCarousel(viewport, CarouselOptions().forCarousel(carousel))
     buttonsHandler = CarouselButtonsRenderer(carousel)
     slidesHandler = CarouselItemsRenderer(embla, carousel, CarouselConfig.selectors.slide)
     dotsHandler = CarouselItemsRenderer(embla, carousel, CarouselConfig.selectors.dot, true)
-    autoplay = timer > 0 ? CarouselAutoplay(embla, timer) : null
-    processor = CarouselProcessor(embla, autoplay)
-    eventManager = CarouselEvents(embla, carousel, buttonsHandler, slidesHandler, dotsHandler, autoplay, processor, pause)
+    slidesRenderer = CarouselSlidesRenderer(embla, carousel)
+    toggleHandler = timer > 0 ? CarouselToggleRenderer(carousel) : null
+    autoplay = timer > 0 ? CarouselAutoplay(embla, timer, toggleHandler?.update) : null
+    processor = CarouselProcessor(embla, carousel, autoplay)
+    eventManager = CarouselEvents(embla, carousel, buttonsHandler, slidesHandler, dotsHandler, slidesRenderer, toggleHandler, autoplay, processor, pause)
 
     embla['on']('init', () => {
       carousel.classList.add(CarouselConfig.classes.initialized)
@@ -339,6 +621,8 @@ const CarouselInstance = (carousel) => {
 
       visibilityObserver = intersectionObserver(observerHandler, { threshold: 0.1 })
       visibilityObserver.observe(carousel)
+
+      unsubscribePolicy = policy.subscribe(autoplay.autoplayPolicy)
     }
   }
 
@@ -346,18 +630,23 @@ const CarouselInstance = (carousel) => {
     if (!initialized) return
 
     visibilityObserver?.destroy()
+    unsubscribePolicy?.()
     eventManager?.destroy()
     autoplay?.autoplayStop()
+    slidesRenderer?.release()
     embla?.['destroy']()
 
     embla = null
     buttonsHandler = null
     slidesHandler = null
     dotsHandler = null
+    slidesRenderer = null
+    toggleHandler = null
     autoplay = null
     processor = null
     eventManager = null
     visibilityObserver = null
+    unsubscribePolicy = null
     initialized = false
   }
 
@@ -366,49 +655,38 @@ const CarouselInstance = (carousel) => {
     return destroy
   }
 
-  return {
-    init
-  }
-}
-
-const CarouselComponent = () => {
-  const dom = CarouselDOM()
-  const instances = []
-
-  const init = () => {
-    if (!dom.init()) return null
-
-    const carousels = dom.get('carousels')
-
-    carousels.forEach(carousel => {
-      const instance = CarouselInstance(carousel)
-      if (!instance) return
+  // Theme editor: pause autoplay and bring the selected slide into view
+  const select = (target) => {
+    if (!initialized) return
 
-      const cleanup = instance.init()
-      if (cleanup) instances.push(cleanup)
-    })
+    autoplay?.autoplayPause()
 
-    return destroy
+    const index = embla['slideNodes']().findIndex(slide => slide.contains(target))
+    if (index >= 0) processor.handleSlide(index)
   }
 
-  const destroy = () => {
-    instances.forEach(cleanup => cleanup())
-    instances.length = 0
-    dom?.cleanup()
+  const deselect = () => {
+    if (!initialized) return
+
+    autoplay?.autoplayResume()
   }
 
   return {
-    init
+    init,
+    select,
+    deselect
   }
 }
 
-const initCarousel = () => {
-  const globalCleanup = cleanupSystem()
-  const carousel = CarouselComponent()
-  const cleanup = carousel.init()
+const mountCarousel = (carousel) => {
+  const instance = CarouselInstance(carousel)
+  if (!instance) return null
 
-  if (!cleanup) return
-  globalCleanup.register('CarouselAPI', cleanup)
+  return {
+    destroy: instance.init(),
+    select: instance.select,
+    deselect: instance.deselect
+  }
 }
 
-initCarousel()
+componentRegistry().register('carousel', mountCarousel)
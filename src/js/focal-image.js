@@ -7,7 +7,7 @@
 
 import {
   frameSequence,
-  cleanupSystem
+  componentRegistry
 } from './utils.js'
 
 const FocalConfig = {
@@ -22,44 +22,7 @@ const FocalConfig = {
   defaultPosition: '50% 50%'
 }
 
-const FocalDOM = () => {
-  const elements = new Map()
-  const cache = new Map()
-
-  const init = () => {
-    const images = document.querySelectorAll(FocalConfig.selectors.image)
-    elements.set('images', Array.from(images))
-
-    return elements.get('images').length > 0
-  }
-
-  const get = (key) => {
-    return elements.get(key)
-  }
-
-  const getCache = (key) => {
-    return cache.get(key)
-  }
-
-  const setCache = (key, value) => {
-    cache.set(key, value)
-  }
-
-  const cleanup = () => {
-    elements.clear()
-    cache.clear()
-  }
-
-  return {
-    init,
-    get,
-    getCache,
-    setCache,
-    cleanup
-  }
-}
-
-const FocalCalculator = (dom) => {
+const FocalCalculator = () => {
   const convertToPercentage = (coordinate) => {
     const value = parseFloat(coordinate) || 0
     const percentage = (value + 1) * 50
@@ -71,18 +34,7 @@ const FocalCalculator = (dom) => {
   const calculatePosition = (focalX, focalY) => {
     if (focalX === null || focalY === null) return FocalConfig.defaultPosition
 
-    const positionKey = `${focalX}_${focalY}`
-    let position = dom.getCache(positionKey)
-
-    if (!position) {
-      const objectPositionX = convertToPercentage(focalX)
-      const objectPositionY = convertToPercentage(focalY)
-      position = `${objectPositionX} ${objectPositionY}`
-
-      dom.setCache(positionKey, position)
-    }
-
-    return position
+    return `${convertToPercentage(focalX)} ${convertToPercentage(focalY)}`
   }
 
   return {
@@ -118,38 +70,23 @@ const FocalRenderer = (calculator) => {
 }
 
 const focalComponent = () => {
-  const dom = FocalDOM()
-
-  const init = () => {
-    if (!dom.init()) return null
-
-    const calculator = FocalCalculator(dom)
-    const renderer = FocalRenderer(calculator)
+  const calculator = FocalCalculator()
+  const renderer = FocalRenderer(calculator)
 
-    const images = dom.get('images')
-    images.forEach(image => {
-      renderer.applyFocalPoint(image)
-    })
+  const mount = (image) => {
+    if (!image) return null
 
-    return destroy
-  }
+    renderer.applyFocalPoint(image)
 
-  const destroy = () => {
-    dom?.cleanup()
+    // Allow a remount to pick up changed focal coordinates
+    return () => image.removeAttribute(FocalConfig.attr.processed)
   }
 
   return {
-    init
+    mount
   }
 }
 
-const initFocalImages = () => {
-  const globalCleanup = cleanupSystem()
-  const focal = focalComponent()
-  const cleanup = focal.init()
-
-  if (!cleanup) return
-  globalCleanup.register('FocalImageAPI', cleanup)
-}
+const focal = focalComponent()
 
-initFocalImages()
+componentRegistry().register('focal-image', focal.mount)
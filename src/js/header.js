@@ -2,16 +2,56 @@
  * Header Component
  *
  * Handles header height calculations and CSS variable management
- * with preview bar integration.
+ * with preview bar integration. Announces the mobile menu and dropdowns
+ * opening and closing as `menu:open` / `menu:close` theme events.
+ *
+ * Desktop dropdowns open with hover intent: a short open delay, a close
+ * delay, and no switching to a sibling while the pointer is still heading
+ * for the open panel. Both delays can be set on the header section.
+ * Opened panels are shifted back inside the viewport when they overflow it.
+ *
+ * A sticky header can hide on scroll down and reveal on scroll up, shrink
+ * past its own height, and turn solid once the first section scrolls under
+ * it. `--header-height` keeps the expanded height in every state, announced
+ * as `header:hidden` / `header:shown` theme events.
+ *
+ * While the mobile menu is open the page behind it can't scroll, and the
+ * browser's Back button closes the menu.
+ *
+ * On mobile, nested dropdowns drill down one panel per level. Focus moves to
+ * the panel heading going in and back to the parent item going out, the new
+ * level is announced, and the open path is kept for the next time the menu
+ * opens, including on the next page.
+ *
+ * Menu link clicks are tracked as `menu_click` analytics events with the
+ * item's depth (1 for top-level items) and position among its siblings.
+ *
+ * Keyboard support:
+ * - Arrow keys move between top-level items and through dropdowns
+ * - Escape closes the open dropdown, sub-menu or menu and returns focus
+ * - Focus stays inside the mobile menu while it is open
+ *
  *
  */
 
 import {
+  analytics,
+  announce,
+  breakpoints,
+  eventBus,
+  focusableElements,
+  focusTrap,
   frameSequence,
+  mutate,
+  overlayHistory,
   resizeObserver,
-  cleanupSystem,
+  scrollLock,
+  scrollManager,
+  componentRegistry,
+  setChecked,
   setCssVar,
-  getDimensions
+  getDimensions,
+  storage
 } from './utils.js'
 
 const HeaderConfig = {
@@ -19,43 +59,109 @@ const HeaderConfig = {
     checkboxes: 'input[type="checkbox"]',
     doc: document.documentElement,
     header: '.header',
+    hero: '#main > section:first-child',
     icons: '.header__icons',
     logo: '.header__logo',
     preview: '.preview-bar__container',
     menu: {
+      root: '.header__menu',
       container: '.header__menu-nav',
       opener: '#header-opener-menu',
       label: 'label[for="header-opener-menu"]',
-      hasDropdown: '.has-dropdown'
+      hasDropdown: '.has-dropdown',
+      topLink: '.header__menu-list > .header__menu-item > .header__menu-link',
+      topItem: '.header__menu-list > .header__menu-item',
+      dropdown: '.header__menu-dropdown',
+      dropdownHeading: ':scope > .header__menu-dropdown-wrapper > .header__menu-dropdown-heading',
+      dropdownList: '.header__menu-dropdown-list',
+      dropdownLink: '.header__menu-dropdown-link',
+      trigger: ':scope > input[type="checkbox"]',
+      link: ':scope > .header__menu-link',
+      anyLink: 'a[href]',
+      item: 'li'
     },
     search: {
       container: '.search__wrapper',
-      opener: '#header-opener-search',
-      label: 'label[for="header-opener-search"]'
+      opener: '.search__toggle',
+      label: '.search__opener'
     }
   },
   modifier: {
-    active: 'active'
+    active: 'active',
+    intent: 'menu--intent'
+  },
+  classes: {
+    filled: 'header__inner--filled',
+    hidden: 'header__inner--hidden',
+    shrunk: 'header__inner--shrunk',
+    solid: 'header__inner--solid',
+    sticky: 'header__inner--sticky'
+  },
+  attr: {
+    openDelay: 'data-menu-open-delay',
+    closeDelay: 'data-menu-close-delay',
+    levelLabel: 'data-level-label',
+    scrollHide: 'data-scroll-hide',
+    scrollShrink: 'data-scroll-shrink',
+    topLabel: 'data-top-label'
+  },
+  frameKeys: {
+    dropdown: 'header:dropdown',
+    height: 'header:height',
+    hidden: 'header:hidden',
+    shrunk: 'header:shrunk',
+    solid: 'header:solid'
   },
   cssVars: {
+    dropdownOffset: '--header-menu-dropdown-offset',
     headerHeight: '--header-height',
     previewHeight: '--preview-height',
     transitionDuration: '--transition-duration'
   },
-  breakpoint: 992,
-  debounceTime: 0
+  messages: {
+    level: '{title}, level {level}',
+    top: 'Menu'
+  },
+  storage: {
+    name: 'header',
+    path: 'menuPath'
+  },
+  keys: {
+    next: { desktop: 'ArrowRight', mobile: 'ArrowDown' },
+    prev: { desktop: 'ArrowLeft', mobile: 'ArrowUp' }
+  },
+  breakpoint: 'md',
+  debounceTime: 0,
+  focusDelay: 50,
+  // Scroll distance up before a hidden header is revealed again
+  hysteresis: 20,
+  hover: {
+    openDelay: 100,
+    closeDelay: 500,
+    // How long a pointer heading for the open panel may defer a switch
+    aimDelay: 300,
+    // Pointer positions kept to work out its direction
+    points: 4,
+    // Extra px around the panel edge that still count as heading for it
+    tolerance: 40
+  }
 }
 
+const isDesktop = () => breakpoints.matches(HeaderConfig.breakpoint)
+
 const HeaderDOM = () => {
   const elements = new Map()
   const cache = new Map([
     ['headerHeight', 0],
+    ['heroEnd', 0],
     ['previewHeight', 0]
   ])
 
-  const init = (headerElement) => {
+  const init = (root) => {
     elements.set('doc', HeaderConfig.selectors.doc)
-    elements.set('header', headerElement)
+    elements.set('root', root)
+    elements.set('header', root.closest(HeaderConfig.selectors.header) || root)
+    elements.set('hero', document.querySelector(HeaderConfig.selectors.hero))
     elements.set('preview', document.querySelector(HeaderConfig.selectors.preview))
     return elements.get('header') !== null
   }
@@ -64,6 +170,10 @@ const HeaderDOM = () => {
     return elements.get(key)
   }
 
+  const getCache = (key) => {
+    return cache.get(key)
+  }
+
   const setCache = (key, value) => {
     cache.set(key, value)
   }
@@ -76,17 +186,27 @@ const HeaderDOM = () => {
   return {
     init,
     get,
+    getCache,
     setCache,
     cleanup
   }
 }
 
 const setHeaderHeight = (domManager) => {
+  let pending = false
+
   const calculate = () => {
     if (!domManager.get('header')) return
 
+    // The compact header is not the height the layout is built around
+    if (domManager.get('root')?.classList.contains(HeaderConfig.classes.shrunk)) {
+      pending = true
+      return
+    }
+
     const read = () => {
       const header = domManager.get('header')
+      const hero = domManager.get('hero')
       const preview = domManager.get('preview')
 
       const headerDimensions = getDimensions(header)
@@ -96,16 +216,18 @@ const setHeaderHeight = (domManager) => {
 
       return {
         headerHeight: headerDimensions.height,
+        heroEnd: hero ? hero.getBoundingClientRect().bottom + window.scrollY : 0,
         previewHeight: previewDimensions.height
       }
     }
 
     const write = (data) => {
-      const { headerHeight, previewHeight } = data
+      const { headerHeight, heroEnd, previewHeight } = data
       const doc = domManager.get('doc')
 
       setCssVar(HeaderConfig.cssVars.headerHeight, `${headerHeight}px`, doc)
       domManager.setCache('headerHeight', headerHeight)
+      domManager.setCache('heroEnd', heroEnd)
 
       if (!domManager.get('preview') || previewHeight <= 0 ) return
 
@@ -113,12 +235,21 @@ const setHeaderHeight = (domManager) => {
       domManager.setCache('previewHeight', previewHeight)
     }
 
-    frameSequence(read, write)
+    frameSequence(read, write, HeaderConfig.frameKeys.height)
+  }
+
+  // Catches up on a measurement skipped while the header was compact
+  const flush = () => {
+    if (!pending) return
+
+    pending = false
+    calculate()
   }
 
   return {
     calculate,
-    recalculate: calculate
+    recalculate: calculate,
+    flush
   }
 }
 
@@ -147,29 +278,134 @@ const headerEventManager = (headerHeight) => {
   return { init, destroy }
 }
 
+const headerScroll = (dom, headerHeight) => {
+  const { classes, frameKeys } = HeaderConfig
+  const { menu, search } = HeaderConfig.selectors
+  const root = dom.get('root')
+  const unsubscribers = []
+  let hidden = false
+  let settleTimeout = null
+
+  const toggle = (className, force, frameKey) => {
+    mutate(() => root.classList.toggle(className, force), frameKey)
+  }
+
+  // Open menus, search and keyboard focus keep the header in view
+  const isBusy = () => {
+    const openers = root.querySelectorAll(`${menu.opener}:checked, ${search.opener}:checked`)
+    const dropdown = root.querySelector(`${menu.hasDropdown}.${HeaderConfig.modifier.active}`)
+
+    return openers.length > 0 || Boolean(dropdown) || root.contains(document.activeElement)
+  }
+
+  const setHidden = (value) => {
+    if (value === hidden) return
+
+    hidden = value
+    toggle(classes.hidden, value, frameKeys.hidden)
+    eventBus.emit(value ? 'header:hidden' : 'header:shown')
+  }
+
+  // Scroll subscribers run in the read phase, so only writes are scheduled
+  const handleScroll = ({ y, direction, delta }) => {
+    if (y <= dom.getCache('headerHeight') || isBusy()) {
+      setHidden(false)
+      return
+    }
+
+    if (direction === 'down' && delta > 0) setHidden(true)
+    if (direction === 'up' && delta < -HeaderConfig.hysteresis) setHidden(false)
+  }
+
+  // Measure again once the header has grown back to its full size
+  const settle = () => {
+    const duration = parseFloat(getComputedStyle(root).transitionDuration) * 1000 || 0
+
+    clearTimeout(settleTimeout)
+    settleTimeout = setTimeout(headerHeight.flush, duration)
+  }
+
+  const handleShrink = (past) => {
+    mutate(() => {
+      root.classList.toggle(classes.shrunk, past)
+      if (!past) settle()
+    }, frameKeys.shrunk)
+  }
+
+  const handleSolid = (past) => {
+    toggle(classes.solid, past, frameKeys.solid)
+  }
+
+  const handleFocusIn = () => {
+    setHidden(false)
+  }
+
+  const init = () => {
+    if (!root.classList.contains(classes.sticky)) return
+
+    const { hysteresis } = HeaderConfig
+
+    if (root.hasAttribute(HeaderConfig.attr.scrollHide)) {
+      unsubscribers.push(scrollManager.subscribe(handleScroll))
+
+      root.addEventListener('focusin', handleFocusIn)
+      unsubscribers.push(() => root.removeEventListener('focusin', handleFocusIn))
+    }
+
+    if (root.hasAttribute(HeaderConfig.attr.scrollShrink)) {
+      const offset = () => dom.getCache('headerHeight')
+      unsubscribers.push(scrollManager.threshold(offset, handleShrink, { hysteresis }))
+    }
+
+    // Transparent over the first section, solid once it is scrolled under the header
+    if (!root.classList.contains(classes.filled)) {
+      const offset = () => Math.max(dom.getCache('heroEnd') - dom.getCache('headerHeight'), 0)
+      unsubscribers.push(scrollManager.threshold(offset, handleSolid, { hysteresis }))
+    }
+  }
+
+  const destroy = () => {
+    clearTimeout(settleTimeout)
+    unsubscribers.forEach(unsubscribe => unsubscribe())
+    unsubscribers.length = 0
+
+    root.classList.remove(classes.hidden, classes.shrunk, classes.solid)
+    hidden = false
+  }
+
+  return {
+    init,
+    destroy
+  }
+}
+
 const headerComponent = () => {
   const dom = HeaderDOM()
   let headerHeight = null
   let eventManager = null
+  let scroll = null
 
-  const init = () => {
-    const header = document.querySelector(HeaderConfig.selectors.header)
-    if (!header) return null
-    if (!dom.init(header)) return null
+  const init = (root) => {
+    if (!root) return null
+    if (!dom.init(root)) return null
 
     headerHeight = setHeaderHeight(dom)
     eventManager = headerEventManager(headerHeight)
+    scroll = headerScroll(dom, headerHeight)
 
     eventManager.init()
+    scroll.init()
 
     return destroy
   }
 
   const destroy = () => {
+    scroll?.destroy()
     eventManager?.destroy()
     dom?.cleanup()
     headerHeight = null
     eventManager = null
+    scroll = null
   }
 
   return {
@@ -178,20 +414,111 @@ const headerComponent = () => {
   }
 }
 
-const outsideHandler = () => {
-  const dom = new Map()
-  let durationCache = null
-  let hoverTimeout = null
-  let mediaQuery = null
+const HeaderDropdowns = (root) => {
+  const { menu } = HeaderConfig.selectors
+  const activeClass = HeaderConfig.modifier.active
+  const items = Array.from(root.querySelectorAll(`${menu.container} ${menu.hasDropdown}`))
+
+  const has = (item) => items.includes(item)
+
+  const isOpen = (item) => item.classList.contains(activeClass)
+
+  // Desktop opens with `.active`, mobile with the item's checkbox
+  const sync = (item) => {
+    const trigger = item.querySelector(menu.trigger)
+    const expanded = isOpen(item) || Boolean(trigger?.checked)
+
+    item.querySelector(menu.link)?.setAttribute('aria-expanded', String(expanded))
+  }
+
+  // Shift desktop panels back inside the viewport when they overflow it
+  const place = (item) => {
+    const panel = item.querySelector(menu.dropdown)
+    if (!panel || !isDesktop()) return
+
+    const { dropdownOffset } = HeaderConfig.cssVars
+
+    const read = () => {
+      const offset = parseFloat(panel.style.getPropertyValue(dropdownOffset)) || 0
+      const rect = panel.getBoundingClientRect()
+      const left = rect.left - offset
+      const right = rect.right - offset
+      const width = HeaderConfig.selectors.doc.clientWidth
 
-  const isDesktop = () => mediaQuery && mediaQuery.matches
+      let shift = 0
+      if (right > width) shift = width - right
+      if (left + shift < 0) shift = -left
 
-  const clearHoverTimeout = () => {
-    if (!hoverTimeout) return
-    clearTimeout(hoverTimeout)
-    hoverTimeout = null
+      return shift
+    }
+
+    const write = (shift) => {
+      setCssVar(dropdownOffset, `${shift}px`, panel)
+    }
+
+    frameSequence(read, write, HeaderConfig.frameKeys.dropdown)
+  }
+
+  const close = (item) => {
+    if (!isOpen(item)) return
+
+    item.classList.remove(activeClass)
+    sync(item)
+    eventBus.emit('menu:close', { dropdown: item })
+  }
+
+  const open = (item) => {
+    items.forEach(other => {
+      if (other !== item) close(other)
+    })
+
+    if (isOpen(item)) return
+
+    item.classList.add(activeClass)
+    sync(item)
+    place(item)
+    eventBus.emit('menu:open', { dropdown: item })
+  }
+
+  const closeAll = () => {
+    items.forEach(close)
+  }
+
+  const current = () => items.find(isOpen) || null
+
+  const handleChange = (event) => {
+    const item = event.target.parentElement
+    if (has(item) && event.target === item.querySelector(menu.trigger)) sync(item)
+  }
+
+  const init = () => {
+    root.addEventListener('change', handleChange)
   }
 
+  const destroy = () => {
+    root.removeEventListener('change', handleChange)
+    closeAll()
+  }
+
+  return {
+    items,
+    has,
+    isOpen,
+    open,
+    close,
+    closeAll,
+    current,
+    init,
+    destroy
+  }
+}
+
+const outsideHandler = () => {
+  const dom = new Map()
+  let durationCache = null
+  let unsubscribeBreakpoint = null
+  let menuHistory = null
+
   const getDuration = () => {
     if (durationCache !== null) return durationCache
 
@@ -231,9 +558,7 @@ const outsideHandler = () => {
     if (!nodes.length) return false
 
     const closer = () => {
-      nodes.forEach(node => {
-        if (node.checked) node.checked = false
-      })
+      nodes.forEach(node => setChecked(node, false))
     }
 
     if (!delay) {
@@ -246,14 +571,14 @@ const outsideHandler = () => {
     return true
   }
 
-  const closeOpener = (opener, container) => {
-    if (!opener || !opener.checked) return false
-    opener.checked = false
-    closeInside(container, true)
+  // The mobile menu keeps its open panels, see `menuDrilldown`
+  const closeOpener = (opener, container, reset = true) => {
+    if (!setChecked(opener, false)) return false
+    if (reset) closeInside(container, true)
     return true
   }
 
-  const closeModal = (opener, container, label) => (e) => {
+  const closeModal = (opener, container, label, reset = true) => (e) => {
     if (!opener || !opener.checked) return false
 
     const isDropdown = e.target.closest(container)
@@ -263,7 +588,15 @@ const outsideHandler = () => {
 
     if (isModal) return false
 
-    closeOpener(opener, container)
+    closeOpener(opener, container, reset)
+  }
+
+  const openMenu = () => {
+    setChecked(dom.get('menuOpener'), true)
+  }
+
+  const closeMenu = () => {
+    closeOpener(dom.get('menuOpener'), HeaderConfig.selectors.menu.container, false)
   }
 
   const closeOnResize = () => {
@@ -273,156 +606,757 @@ const outsideHandler = () => {
     closeOpener(menuOpener, HeaderConfig.selectors.menu.container)
   }
 
-  const handleMediaQueryChange = (mediaQuery) => {
-    if (mediaQuery.matches) closeOnResize()
+  const handleBreakpointChange = (matches) => {
+    if (matches) closeOnResize()
+  }
+
+  // The open menu locks the page behind it and can be closed with Back
+  const handleMenuChange = () => {
+    const menuOpener = dom.get('menuOpener')
+    const menuContainer = dom.get('menuContainer')
+
+    if (menuOpener.checked) {
+      scrollLock.lock(menuContainer)
+      menuHistory?.open()
+    } else {
+      scrollLock.unlock(menuContainer)
+      menuHistory?.close()
+    }
+
+    eventBus.emit(menuOpener.checked ? 'menu:open' : 'menu:close', { dropdown: null })
+  }
+
+  const init = (root) => {
+    dom.set('menuOpener', root.querySelector(HeaderConfig.selectors.menu.opener))
+    dom.set('searchOpener', root.querySelector(HeaderConfig.selectors.search.opener))
+    dom.set('menuContainer', root.querySelector(HeaderConfig.selectors.menu.container) || root)
+
+    if (!dom.get('menuOpener') && !dom.get('searchOpener')) return false
+
+    const menuCloser = closeModal(
+      dom.get('menuOpener'),
+      HeaderConfig.selectors.menu.container,
+      HeaderConfig.selectors.menu.label,
+      false
+    )
+
+    const searchCloser = closeModal(
+      dom.get('searchOpener'),
+      HeaderConfig.selectors.search.container,
+      HeaderConfig.selectors.search.label
+    )
+
+    const clickOutside = (event) => {
+      if (dom.get('menuOpener')) menuCloser(event)
+      if (dom.get('searchOpener')) searchCloser(event)
+    }
+
+    document.addEventListener('click', clickOutside, { passive: true })
+    unsubscribeBreakpoint = breakpoints.onChange(HeaderConfig.breakpoint, handleBreakpointChange)
+
+    const menuOpener = dom.get('menuOpener')
+    menuOpener?.addEventListener('change', handleMenuChange)
+    if (menuOpener) menuHistory = overlayHistory('menu', closeMenu)
+
+    dom.set('clickOutside', clickOutside)
+
+    return true
+  }
+
+  const destroy = () => {
+    const clickOutside = dom.get('clickOutside')
+    if (clickOutside) {
+      document.removeEventListener('click', clickOutside)
+    }
+
+    unsubscribeBreakpoint?.()
+    unsubscribeBreakpoint = null
+
+    dom.get('menuOpener')?.removeEventListener('change', handleMenuChange)
+    scrollLock.unlock(dom.get('menuContainer'))
+
+    menuHistory?.destroy()
+    menuHistory = null
+
+    durationCache = null
+    dom.clear()
+  }
+
+  return { init, destroy, openMenu, closeMenu }
+}
+
+const hoverIntent = (root, dropdowns) => {
+  const { hover } = HeaderConfig
+  const { menu } = HeaderConfig.selectors
+  const menuRoot = root.querySelector(menu.root)
+  const eventListeners = []
+  const points = []
+  let delays = null
+  let hovered = null
+  let timeout = null
+  let unsubscribeBreakpoint = null
+
+  const addEventListener = (element, event, handler, options = {}) => {
+    element.addEventListener(event, handler, options)
+    eventListeners.push({ element, event, handler })
+  }
+
+  const readDelay = (attr, fallback) => {
+    const value = parseInt(root.getAttribute(attr), 10)
+    return Number.isNaN(value) || value < 0 ? fallback : value
+  }
+
+  const clear = () => {
+    clearTimeout(timeout)
+    timeout = null
+  }
+
+  const schedule = (callback, delay) => {
+    clear()
+    timeout = setTimeout(callback, delay)
+  }
+
+  const handleMove = (event) => {
+    points.push({ x: event.clientX, y: event.clientY, time: window.performance.now() })
+    if (points.length > hover.points) points.shift()
+  }
+
+  // The two corners of the panel edge facing the pointer
+  const nearEdge = (rect, point) => {
+    const { tolerance } = hover
+
+    if (point.y <= rect.top) {
+      return [{ x: rect.left - tolerance, y: rect.top }, { x: rect.right + tolerance, y: rect.top }]
+    }
+
+    if (point.x <= rect.left) {
+      return [{ x: rect.left, y: rect.top - tolerance }, { x: rect.left, y: rect.bottom + tolerance }]
+    }
+
+    if (point.x >= rect.right) {
+      return [{ x: rect.right, y: rect.top - tolerance }, { x: rect.right, y: rect.bottom + tolerance }]
+    }
+
+    return null
+  }
+
+  const side = (p, a, b) => (p.x - b.x) * (a.y - b.y) - (a.x - b.x) * (p.y - b.y)
+
+  const inTriangle = (p, a, b, c) => {
+    const sides = [side(p, a, b), side(p, b, c), side(p, c, a)]
+    return !(sides.some(value => value < 0) && sides.some(value => value > 0))
+  }
+
+  // The pointer is heading for the panel while its latest position lies in
+  // the triangle between an earlier position and the panel's near edge
+  const isAiming = (item) => {
+    if (points.length < 2) return false
+
+    const origin = points[0]
+    const latest = points[points.length - 1]
+    const resting = window.performance.now() - latest.time > hover.aimDelay
+
+    if (resting || (origin.x === latest.x && origin.y === latest.y)) return false
+
+    const panel = item.querySelector(menu.dropdown)
+    const edge = panel && nearEdge(panel.getBoundingClientRect(), origin)
+
+    return Boolean(edge) && inTriangle(latest, origin, ...edge)
+  }
+
+  const activate = (item) => {
+    if (hovered !== item) return
+
+    const current = dropdowns.current()
+
+    if (current && current !== item && isAiming(current)) {
+      schedule(() => activate(item), hover.aimDelay)
+      return
+    }
+
+    dropdowns.open(item)
   }
 
-  const closeOnHover = (event) => {
+  const handleEnter = (item) => () => {
     if (!isDesktop()) return
 
-    const searchOpener = dom.get('searchOpener')
-    if (!searchOpener || !searchOpener.checked) return
+    hovered = item
+    clear()
 
-    const hasDropdown = event.target.closest(HeaderConfig.selectors.menu.hasDropdown)
-    if (!hasDropdown) return
+    if (dropdowns.isOpen(item)) return
 
-    closeOpener(searchOpener, HeaderConfig.selectors.search.container)
+    // Moving between items of an open menu needs no open delay
+    dropdowns.current() ?
+      activate(item) :
+      schedule(() => activate(item), delays.open)
   }
 
-  const setupDropdownHover = () => {
+  const handleLeave = (item) => () => {
     if (!isDesktop()) return
 
-    const menuContainer = dom.get('menuContainer')
-    if (!menuContainer) return
+    if (hovered === item) hovered = null
+    clear()
 
-    const dropdownItems = menuContainer.querySelectorAll(HeaderConfig.selectors.menu.hasDropdown)
-    if (!dropdownItems.length) return
+    const current = dropdowns.current()
+    if (current) schedule(() => dropdowns.close(current), delays.close)
+  }
 
-    const activeClass = HeaderConfig.modifier.active
-    const dropdownItemsArray = Array.from(dropdownItems) // Cache as array
+  const handleBreakpointChange = (matches) => {
+    if (matches) return
 
-    dropdownItems.forEach((item) => {
-      const handleMouseEnter = () => {
-        clearHoverTimeout()
+    clear()
+    hovered = null
+    dropdowns.closeAll()
+  }
 
-        dropdownItemsArray.forEach(dropdownItem => {
-          dropdownItem.classList.remove(activeClass)
-        })
+  const init = () => {
+    if (!menuRoot || !dropdowns.items.length) return
 
-        item.classList.add(activeClass)
-      }
+    delays = {
+      open: readDelay(HeaderConfig.attr.openDelay, hover.openDelay),
+      close: readDelay(HeaderConfig.attr.closeDelay, hover.closeDelay)
+    }
 
-      const handleMouseLeave = () => {
-        clearHoverTimeout()
+    dropdowns.items.forEach(item => {
+      addEventListener(item, 'mouseenter', handleEnter(item), { passive: true })
+      addEventListener(item, 'mouseleave', handleLeave(item), { passive: true })
+    })
 
-        hoverTimeout = setTimeout(() => {
-          item.classList.remove(activeClass)
-        }, 500)
-      }
+    addEventListener(menuRoot, 'mousemove', handleMove, { passive: true })
+    unsubscribeBreakpoint = breakpoints.onChange(HeaderConfig.breakpoint, handleBreakpointChange)
 
-      item.addEventListener('mouseenter', handleMouseEnter, { passive: true })
-      item.addEventListener('mouseleave', handleMouseLeave, { passive: true })
+    // Hands dropdown visibility over from CSS :hover to the intent logic
+    menuRoot.classList.add(HeaderConfig.modifier.intent)
+  }
 
-      // Store handlers for cleanup
-      if (!dom.has('dropdownHandlers')) {
-        dom.set('dropdownHandlers', [])
-      }
-      dom.get('dropdownHandlers').push({
-        element: item,
-        enter: handleMouseEnter,
-        leave: handleMouseLeave
-      })
+  const destroy = () => {
+    clear()
+    unsubscribeBreakpoint?.()
+    unsubscribeBreakpoint = null
+
+    eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler)
     })
+    eventListeners.length = 0
+
+    menuRoot?.classList.remove(HeaderConfig.modifier.intent)
+    points.length = 0
+    hovered = null
+  }
+
+  return {
+    init,
+    destroy
+  }
+}
+
+// Mobile panels: only the current level can be reached, the rest is inert
+const menuDrilldown = (root) => {
+  const { menu, checkboxes } = HeaderConfig.selectors
+  const { attr, messages } = HeaderConfig
+  const nav = root.querySelector(menu.container)
+  const opener = root.querySelector(menu.opener)
+  const panels = nav ? Array.from(nav.querySelectorAll(menu.dropdown)) : []
+  const saved = storage(HeaderConfig.storage.name, { type: 'session' })
+  const inerted = new Set()
+  const eventListeners = []
+  let silent = false
+  let unsubscribeBreakpoint = null
+
+  const addEventListener = (element, event, handler, options = {}) => {
+    element.addEventListener(event, handler, options)
+    eventListeners.push({ element, event, handler })
+  }
+
+  const triggerOf = (panel) => panel.parentElement.querySelector(menu.trigger)
+
+  const parentOf = (panel) => panel.parentElement.closest(menu.dropdown)
+
+  const isOpen = (panel) => Boolean(triggerOf(panel)?.checked)
+
+  // Deepest panel whose parents are all open
+  const current = () => {
+    let panel = null
+    let next = null
+
+    while ((next = panels.find(other => isOpen(other) && parentOf(other) === panel))) {
+      panel = next
+    }
+
+    return panel
+  }
+
+  const path = () => {
+    const triggers = []
+
+    for (let panel = current(); panel; panel = parentOf(panel)) {
+      triggers.unshift(triggerOf(panel).id)
+    }
+
+    return triggers
+  }
+
+  const level = (panel) => {
+    let depth = 1
+
+    for (let parent = panel; parent; parent = parentOf(parent)) depth++
+
+    return depth
+  }
+
+  const heading = (panel) => panel.querySelector(menu.dropdownHeading)
+
+  // The menu snippet passes translated labels, the messages are only a fallback
+  const label = (name, fallback) => nav?.getAttribute(name) || fallback
+
+  const announceLevel = (panel) => {
+    const title = panel ?
+      heading(panel)?.textContent.trim() || triggerOf(panel).getAttribute('aria-label') :
+      label(attr.topLabel, messages.top)
+
+    announce(label(attr.levelLabel, messages.level)
+      .replace('{title}', title)
+      .replace('{level}', panel ? level(panel) : 1))
+  }
+
+  const setInert = (element) => {
+    if (element.hasAttribute('inert')) return
+
+    element.setAttribute('inert', '')
+    inerted.add(element)
+  }
+
+  const release = () => {
+    inerted.forEach(element => element.removeAttribute('inert'))
+    inerted.clear()
   }
 
-  const cleanupDropdownHover = () => {
-    const handlers = dom.get('dropdownHandlers')
-    if (!handlers) return
+  // Closed panels and everything around the current one leave the tab order
+  const update = () => {
+    release()
+    if (!nav || isDesktop()) return
+
+    const panel = current()
 
-    handlers.forEach(({ element, enter, leave }) => {
-      element.removeEventListener('mouseenter', enter)
-      element.removeEventListener('mouseleave', leave)
+    panels.forEach(other => {
+      if (!isOpen(other)) setInert(other)
     })
 
-    dom.delete('dropdownHandlers')
+    for (let node = panel; node && node !== nav; node = node.parentElement) {
+      Array.from(node.parentElement.children).forEach(sibling => {
+        if (sibling !== node) setInert(sibling)
+      })
+    }
   }
 
-  const init = () => {
-    dom.set('menuOpener', document.querySelector(HeaderConfig.selectors.menu.opener))
-    dom.set('searchOpener', document.querySelector(HeaderConfig.selectors.search.opener))
-    dom.set('menuContainer', document.querySelector(HeaderConfig.selectors.menu.container))
+  // Panels below a closed one close with it, so reopening starts at its level
+  const closeChildren = (panel) => {
+    silent = true
+    panel.querySelectorAll(checkboxes).forEach(input => setChecked(input, false))
+    silent = false
+  }
 
-    if (!dom.get('menuOpener') && !dom.get('searchOpener')) return false
+  const focusTarget = () => {
+    const panel = current()
+    return panel && !isDesktop() ? heading(panel) : null
+  }
 
-    const menuCloser = closeModal(
-      dom.get('menuOpener'),
-      HeaderConfig.selectors.menu.container,
-      HeaderConfig.selectors.menu.label
-    )
+  const restore = () => {
+    if (current()) return
 
-    const searchCloser = closeModal(
-      dom.get('searchOpener'),
-      HeaderConfig.selectors.search.container,
-      HeaderConfig.selectors.search.label
-    )
+    const triggers = saved.get(HeaderConfig.storage.path, [])
+      .map(id => document.getElementById(id))
+      .filter(trigger => trigger && nav.contains(trigger))
 
-    const clickOutside = (event) => {
-      if (dom.get('menuOpener')) menuCloser(event)
-      if (dom.get('searchOpener')) searchCloser(event)
+    if (!triggers.length) return
+
+    silent = true
+    triggers.forEach(trigger => setChecked(trigger, true))
+    silent = false
+
+    update()
+    announceLevel(current())
+  }
+
+  const handleChange = (event) => {
+    const panel = panels.find(other => triggerOf(other) === event.target)
+    if (!panel || silent || isDesktop()) return
+
+    if (!event.target.checked) closeChildren(panel)
+
+    update()
+    saved.set(HeaderConfig.storage.path, path())
+
+    if (!opener?.checked) return
+
+    if (event.target.checked) {
+      heading(panel)?.focus({ preventScroll: true })
+      announceLevel(panel)
+      return
     }
 
-    document.addEventListener('click', clickOutside, { passive: true })
-    mediaQuery = window.matchMedia(`(min-width: ${HeaderConfig.breakpoint}px)`)
-    mediaQuery.addEventListener('change', handleMediaQueryChange)
+    const active = document.activeElement
+    if (panel.contains(active) || active === document.body) {
+      root.querySelector(`label[for="${event.target.id}"][aria-expanded]`)?.focus()
+    }
 
-    const menuContainer = dom.get('menuContainer')
-    if (menuContainer) {
-      menuContainer.addEventListener('mouseover', closeOnHover, { passive: true })
-      setupDropdownHover()
+    announceLevel(parentOf(panel))
+  }
+
+  const handleMenuToggle = () => {
+    if (opener.checked && !isDesktop()) restore()
+  }
+
+  const init = () => {
+    if (!panels.length) return
+
+    update()
+
+    addEventListener(nav, 'change', handleChange)
+    if (opener) addEventListener(opener, 'change', handleMenuToggle)
+
+    unsubscribeBreakpoint = breakpoints.onChange(HeaderConfig.breakpoint, update)
+  }
+
+  const destroy = () => {
+    eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler)
+    })
+    eventListeners.length = 0
+
+    unsubscribeBreakpoint?.()
+    unsubscribeBreakpoint = null
+
+    release()
+  }
+
+  return {
+    focusTarget,
+    init,
+    destroy
+  }
+}
+
+const menuAnalytics = (root) => {
+  const { selectors } = HeaderConfig
+  const menu = root.querySelector(selectors.menu.root)
+
+  const handleClick = (event) => {
+    const link = event.target.closest?.(selectors.menu.anyLink)
+    if (!link || !menu.contains(link)) return
+
+    const item = link.closest(selectors.menu.item)
+    let parent = item
+    let depth = 0
+
+    while (parent && menu.contains(parent)) {
+      depth++
+      parent = parent.parentElement.closest(selectors.menu.item)
     }
 
-    dom.set('clickOutside', clickOutside)
+    analytics.track('menu_click', {
+      depth,
+      position: item ? Array.from(item.parentElement.children).indexOf(item) + 1 : 0,
+      title: link.textContent.trim(),
+      url: link.href
+    })
+  }
 
-    return true
+  const init = () => {
+    menu?.addEventListener('click', handleClick)
   }
 
   const destroy = () => {
-    const clickOutside = dom.get('clickOutside')
-    if (clickOutside) {
-      document.removeEventListener('click', clickOutside)
+    menu?.removeEventListener('click', handleClick)
+  }
+
+  return {
+    init,
+    destroy
+  }
+}
+
+const menuKeyboard = (root, dropdowns, menuAPI, drilldown) => {
+  const { menu } = HeaderConfig.selectors
+  const menuRoot = root.querySelector(menu.root)
+  const opener = root.querySelector(menu.opener)
+  const label = root.querySelector(menu.label)
+  const trap = menuRoot ? focusTrap(menuRoot) : null
+  const eventListeners = []
+  let focusTimeout = null
+
+  const addEventListener = (element, event, handler, options = {}) => {
+    element.addEventListener(event, handler, options)
+    eventListeners.push({ element, event, handler })
+  }
+
+  const topLinks = () => Array.from(root.querySelectorAll(menu.topLink))
+
+  const topItem = (element) => element.closest(menu.topItem)
+
+  const focusAt = (elements, index) => {
+    if (!elements.length) return
+    elements[(index + elements.length) % elements.length].focus()
+  }
+
+  // Roving focus: only the current top-level link is in the tab order
+  const setRoving = (current) => {
+    topLinks().forEach(link => {
+      link.tabIndex = link === current ? 0 : -1
+    })
+  }
+
+  // Desktop dropdowns are one list, mobile panels move within their own level
+  const dropdownLinks = (link) => {
+    if (isDesktop()) return Array.from(topItem(link).querySelectorAll(menu.dropdownLink))
+
+    const list = link.closest(menu.dropdownList)
+    if (!list) return [link]
+
+    return Array.from(list.children)
+      .map(item => item.querySelector(`:scope > ${menu.dropdownLink}`))
+      .filter(Boolean)
+  }
+
+  const openDropdown = (item, index) => {
+    dropdowns.open(item)
+    focusAt(Array.from(item.querySelectorAll(menu.dropdownLink)), index)
+  }
+
+  const moveKeys = (elements, index) => ({
+    Home: () => focusAt(elements, 0),
+    End: () => focusAt(elements, elements.length - 1),
+    next: () => focusAt(elements, index + 1),
+    prev: () => focusAt(elements, index - 1)
+  })
+
+  const runKey = (event, actions) => {
+    const action = actions[event.key]
+    if (!action) return
+
+    event.preventDefault()
+    action()
+  }
+
+  const handleTopKey = (event, links, index) => {
+    const desktop = isDesktop()
+    const item = topItem(links[index])
+    const move = moveKeys(links, index)
+    const { next, prev } = HeaderConfig.keys
+
+    const actions = {
+      Home: move.Home,
+      End: move.End,
+      [desktop ? next.desktop : next.mobile]: move.next,
+      [desktop ? prev.desktop : prev.mobile]: move.prev
     }
 
-    if (mediaQuery) {
-      mediaQuery.removeEventListener('change', handleMediaQueryChange)
-      mediaQuery = null
+    if (desktop && dropdowns.has(item)) {
+      actions.ArrowDown = () => openDropdown(item, 0)
+      actions.ArrowUp = () => openDropdown(item, -1)
     }
 
-    clearHoverTimeout()
+    runKey(event, actions)
+  }
 
-    const menuContainer = dom.get('menuContainer')
-    if (menuContainer) {
-      menuContainer.removeEventListener('mouseover', closeOnHover)
-      cleanupDropdownHover()
+  const handleDropdownKey = (event, link) => {
+    const links = dropdownLinks(link)
+    const move = moveKeys(links, links.indexOf(link))
+
+    const actions = {
+      Home: move.Home,
+      End: move.End,
+      ArrowDown: move.next,
+      ArrowUp: move.prev
     }
 
-    durationCache = null
-    dom.clear()
+    if (isDesktop()) {
+      const tops = topLinks()
+      const item = topItem(link)
+      const index = tops.indexOf(item.querySelector(menu.link))
+
+      actions.ArrowRight = () => {
+        dropdowns.close(item)
+        focusAt(tops, index + 1)
+      }
+      actions.ArrowLeft = () => {
+        dropdowns.close(item)
+        focusAt(tops, index - 1)
+      }
+    }
+
+    runKey(event, actions)
   }
 
-  return { init, destroy }
+  // Innermost open mobile panel around the focused element
+  const openPanelTrigger = (element) => {
+    let panel = element.closest(menu.dropdown)
+
+    while (panel) {
+      const trigger = panel.parentElement.querySelector(menu.trigger)
+      if (trigger?.checked) return trigger
+
+      panel = panel.parentElement.closest(menu.dropdown)
+    }
+
+    return null
+  }
+
+  const handleEscape = (event) => {
+    const trigger = openPanelTrigger(event.target)
+
+    if (trigger) {
+      event.preventDefault()
+      setChecked(trigger, false)
+      return
+    }
+
+    const item = dropdowns.current()
+
+    if (item && isDesktop()) {
+      event.preventDefault()
+      dropdowns.close(item)
+      item.querySelector(menu.link)?.focus()
+      return
+    }
+
+    if (opener?.checked) {
+      event.preventDefault()
+      menuAPI.closeMenu()
+      label?.focus()
+    }
+  }
+
+  const handleKeydown = (event) => {
+    if (event.key === 'Escape') {
+      handleEscape(event)
+      return
+    }
+
+    const links = topLinks()
+    const index = links.indexOf(event.target)
+
+    if (index >= 0) {
+      handleTopKey(event, links, index)
+      return
+    }
+
+    if (event.target.matches?.(menu.dropdownLink)) handleDropdownKey(event, event.target)
+  }
+
+  // Keyboard users reveal desktop dropdowns by tabbing into them
+  const handleFocusIn = (event) => {
+    if (event.target.matches?.(menu.topLink)) setRoving(event.target)
+    if (!isDesktop() || !event.target.closest(menu.dropdown)) return
+
+    const item = topItem(event.target)
+    if (dropdowns.has(item)) dropdowns.open(item)
+  }
+
+  const handleFocusOut = (event) => {
+    if (!isDesktop()) return
+
+    const item = dropdowns.current()
+    if (item && !item.contains(event.relatedTarget)) dropdowns.close(item)
+  }
+
+  const handleMenuToggle = () => {
+    clearTimeout(focusTimeout)
+
+    if (opener.checked) {
+      trap?.activate()
+
+      // Wait for the panel to become visible before moving focus into it
+      focusTimeout = setTimeout(() => {
+        const current = drilldown?.focusTarget() || topLinks().find(link => link.tabIndex === 0)
+        const target = current || focusableElements(root.querySelector(menu.container))[0]
+        target?.focus()
+      }, HeaderConfig.focusDelay)
+      return
+    }
+
+    trap?.deactivate()
+
+    if (menuRoot?.contains(document.activeElement) && document.activeElement !== label) {
+      label?.focus()
+    }
+  }
+
+  const init = () => {
+    const links = topLinks()
+    if (!links.length) return
+
+    setRoving(links[0])
+
+    addEventListener(root, 'keydown', handleKeydown)
+    addEventListener(root, 'focusin', handleFocusIn)
+    addEventListener(root, 'focusout', handleFocusOut)
+
+    if (opener) addEventListener(opener, 'change', handleMenuToggle)
+  }
+
+  const destroy = () => {
+    clearTimeout(focusTimeout)
+    trap?.deactivate()
+
+    eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler)
+    })
+    eventListeners.length = 0
+
+    topLinks().forEach(link => link.removeAttribute('tabindex'))
+  }
+
+  return {
+    init,
+    destroy
+  }
 }
 
-const initHeader = () => {
-  const globalCleanup = cleanupSystem()
+const initHeader = (root) => {
   const header = headerComponent()
-  const cleanup = header.init()
+  const cleanup = header.init(root)
+
+  if (!cleanup) return null
 
-  if (!cleanup) return
-  globalCleanup.register('HeaderAPI', cleanup)
+  const dropdowns = HeaderDropdowns(root)
+  dropdowns.init()
 
   const menuAPI = outsideHandler()
-  menuAPI.init()
-  globalCleanup.register('MenuAPI', menuAPI.destroy)
+  menuAPI.init(root)
+
+  const intent = hoverIntent(root, dropdowns)
+  intent.init()
+
+  const drilldown = menuDrilldown(root)
+  drilldown.init()
+
+  const keyboard = menuKeyboard(root, dropdowns, menuAPI, drilldown)
+  keyboard.init()
+
+  const tracking = menuAnalytics(root)
+  tracking.init()
+
+  // Theme editor: reveal the mobile menu while its block is selected
+  const isMenu = (target) => Boolean(target?.closest(HeaderConfig.selectors.menu.root))
+
+  return {
+    destroy: () => {
+      tracking.destroy()
+      keyboard.destroy()
+      drilldown.destroy()
+      intent.destroy()
+      menuAPI.destroy()
+      dropdowns.destroy()
+      cleanup()
+    },
+    select: (target) => {
+      if (isMenu(target)) menuAPI.openMenu()
+    },
+    deselect: (target) => {
+      if (isMenu(target)) menuAPI.closeMenu()
+    }
+  }
 }
 
-initHeader()
+componentRegistry().register('header', initHeader)
@@ -3,15 +3,20 @@
  *
  * Handles loading of images with placeholders.
  * Optimizes initial load and uses IntersectionObserver for lazy loading.
+ * Follows the motion and data policy: no fade with reduced motion, and
+ * off-screen images wait until they are actually visible with reduced data.
+ * Every revealed image is announced as an `image:loaded` theme event.
  *
  */
 
 import {
+  breakpoints,
+  eventBus,
   frameSequence,
-  cleanupSystem,
+  componentRegistry,
   intersectionObserver,
   inViewport,
-  slowConnection,
+  policy,
   hasFetchPriority
 } from './utils.js'
 
@@ -29,30 +34,40 @@ const ImageConfig = {
     hidden: 'hidden',
     loaded: 'loaded',
     main: 'image-main'
-  }
+  },
+  // Start loading earlier on larger screens where more content is visible
+  rootMargin: {
+    base: '100px',
+    md: '200px',
+    reducedData: '0px'
+  },
+  breakpoint: 'md'
 }
 
 const ImageDOM = () => {
-  const elements = new Map()
+  const wrappers = new Set()
 
-  const init = () => {
-    const wrappers = document.querySelectorAll(ImageConfig.selectors.wrapper)
-    elements.set('wrappers', Array.from(wrappers))
+  const add = (wrapper) => {
+    if (wrappers.has(wrapper)) return false
 
-    return elements.get('wrappers').length > 0
+    wrappers.add(wrapper)
+    return true
   }
 
-  const get = (key) => {
-    return elements.get(key)
+  const remove = (wrapper) => {
+    wrappers.delete(wrapper)
   }
 
+  const size = () => wrappers.size
+
   const cleanup = () => {
-    elements.clear()
+    wrappers.clear()
   }
 
   return {
-    init,
-    get,
+    add,
+    remove,
+    size,
     cleanup
   }
 }
@@ -95,7 +110,7 @@ const ImageRenderer = () => {
         element.removeAttribute(ImageConfig.attr.sourceSrcset)
 
         if ('importance' in element) {
-          element.importance = (data.isInViewport && !slowConnection()) ? 'high' : 'low'
+          element.importance = (data.isInViewport && !policy.reducedData) ? 'high' : 'low'
         }
       })
 
@@ -127,8 +142,15 @@ const ImageRenderer = () => {
 
     mainImage.classList.remove(ImageConfig.classes.hidden)
     mainImage.classList.add(ImageConfig.classes.loaded)
+    eventBus.emit('image:loaded', { image: mainImage })
 
     if (!placeholder) return
+
+    if (policy.reducedMotion) {
+      placeholder.remove()
+      return
+    }
+
     placeholder.style.opacity = '0'
     const removePlaceholder = () => placeholder.remove()
     placeholder.addEventListener('transitionend', removePlaceholder, { once: true, passive: true })
@@ -144,7 +166,7 @@ const ImageRenderer = () => {
     if (!wrapper || !placeholder) return
 
     if (isInViewport === null) isInViewport = inViewport(mainImage)
-    if (slowConnection() && hasFetchPriority()) mainImage.fetchPriority = 'low'
+    if (policy.reducedData && hasFetchPriority()) mainImage.fetchPriority = 'low'
 
     mainImage.complete ?
       fadeInImage(mainImage, placeholder, isInViewport) :
@@ -182,23 +204,64 @@ const ImageProcessor = (renderer) => {
 
 const imageObserver = (renderer) => {
   let observer = null
+  let unsubscribePolicy = null
+  let dataSaving = false
+  const targets = new Set()
 
   const observerCallback = (entries) => {
     entries.forEach((entry) => {
       if (!entry.isIntersecting) return
       renderer.loadImage(entry.target)
-      observer.unobserve(entry.target)
+      unobserve(entry.target)
     })
   }
 
-  const init = () => {
-    observer = intersectionObserver(observerCallback)
+  const rootMargin = (reducedData) => {
+    const { rootMargin: margins } = ImageConfig
+    const viewportMargin = breakpoints.matches(ImageConfig.breakpoint) ?
+      margins.md :
+      margins.base
+
+    return reducedData ? margins.reducedData : viewportMargin
+  }
+
+  const create = (reducedData) => {
+    dataSaving = reducedData
+    observer = intersectionObserver(observerCallback, { rootMargin: rootMargin(reducedData) })
     observer.init()
+    targets.forEach(target => observer.observe(target))
   }
 
-  const getObserver = () => observer
+  // The margin is fixed per observer, so a policy change rebuilds it around the waiting images
+  const handlePolicy = ({ reducedData }) => {
+    if (!observer || reducedData === dataSaving) return
+
+    observer.destroy()
+    create(reducedData)
+  }
+
+  const init = () => {
+    if (observer) return
+
+    create(policy.reducedData)
+    unsubscribePolicy = policy.subscribe(handlePolicy)
+  }
+
+  const observe = (target) => {
+    targets.add(target)
+    observer?.observe(target)
+  }
+
+  const unobserve = (target) => {
+    targets.delete(target)
+    observer?.unobserve(target)
+  }
 
   const destroy = () => {
+    unsubscribePolicy?.()
+    unsubscribePolicy = null
+    targets.clear()
+
     if (observer) {
       observer.destroy()
       observer = null
@@ -207,53 +270,46 @@ const imageObserver = (renderer) => {
 
   return {
     init,
-    getObserver,
+    observe,
+    unobserve,
     destroy
   }
 }
 
 const imageComponent = () => {
   const dom = ImageDOM()
-  let renderer = null
-  let processor = null
-  let observerManager = null
+  const renderer = ImageRenderer()
+  const processor = ImageProcessor(renderer)
+  const observerManager = imageObserver(renderer)
 
-  const init = () => {
-    if (!dom.init()) return null
+  const unmount = (wrapper) => {
+    const image = wrapper.querySelector(ImageConfig.selectors.main)
+    if (image) observerManager.unobserve(image)
+
+    dom.remove(wrapper)
+    if (!dom.size()) destroy()
+  }
 
-    renderer = ImageRenderer()
-    processor = ImageProcessor(renderer)
-    observerManager = imageObserver(renderer)
+  const mount = (wrapper) => {
+    if (!wrapper || !dom.add(wrapper)) return null
 
     observerManager.init()
+    processor.processImages([wrapper], observerManager)
 
-    const wrappers = dom.get('wrappers')
-    const observer = observerManager.getObserver()
-    processor.processImages(wrappers, observer)
-
-    return destroy
+    return () => unmount(wrapper)
   }
 
   const destroy = () => {
-    observerManager?.destroy()
-    dom?.cleanup()
-    renderer = null
-    processor = null
-    observerManager = null
+    observerManager.destroy()
+    dom.cleanup()
   }
 
   return {
-    init
+    mount,
+    destroy
   }
 }
 
-const initImageLoading = () => {
-  const globalCleanup = cleanupSystem()
-  const image = imageComponent()
-  const cleanup = image.init()
-
-  if (!cleanup) return
-  globalCleanup.register('ImageLoadingAPI', cleanup)
-}
+const imageLoading = imageComponent()
 
-initImageLoading()
+componentRegistry().register('image', imageLoading.mount)
@@ -3,12 +3,16 @@
  *
  * Handles core functionality for the site:
  * - Page loaded state management
+ * - Motion and data policy classes on the root element
+ * - Keyboard support for checkbox toggles: labels marked `role="button"`
+ *   react to Enter/Space and keep `aria-expanded` in sync with the checkbox
  *
  */
 
 import {
   frameSequence,
-  onReady
+  onReady,
+  policy
 } from './utils.js'
 
 const MainConfig = {
@@ -16,7 +20,16 @@ const MainConfig = {
     doc: document.documentElement
   },
   modifier: {
-    loaded: 'loaded'
+    loaded: 'loaded',
+    reducedData: 'reduced-data',
+    reducedMotion: 'reduced-motion'
+  },
+  frameKeys: {
+    policy: 'main:policy'
+  },
+  toggle: {
+    label: 'label[role="button"][for]',
+    keys: ['Enter', ' ']
   }
 }
 
@@ -32,11 +45,58 @@ const MainDOM = {
     }
 
     frameSequence(read, write)
+  },
+
+  setPolicyClasses({ reducedMotion, reducedData }) {
+    const read = () => ({
+      doc: MainConfig.selector.doc,
+      modifier: MainConfig.modifier
+    })
+
+    const write = (data) => {
+      data.doc.classList.toggle(data.modifier.reducedMotion, reducedMotion)
+      data.doc.classList.toggle(data.modifier.reducedData, reducedData)
+    }
+
+    frameSequence(read, write, MainConfig.frameKeys.policy)
   }
 }
 
+const MainToggles = {
+  handleKeydown(event) {
+    if (!MainConfig.toggle.keys.includes(event.key)) return
+
+    const label = event.target.closest?.(MainConfig.toggle.label)
+    if (!label) return
+
+    event.preventDefault()
+    label.click()
+  },
+
+  handleChange(event) {
+    const input = event.target
+    if (input.type !== 'checkbox' || !input.id) return
+
+    const labels = document.querySelectorAll(`label[for="${input.id}"][aria-expanded]`)
+    labels.forEach(label => label.setAttribute('aria-expanded', String(input.checked)))
+  }
+}
+
+// Applied straight away so stylesheets can react before the page completes
+const initPolicy = () => {
+  MainDOM.setPolicyClasses(policy)
+  policy.subscribe(MainDOM.setPolicyClasses)
+}
+
+const initToggles = () => {
+  document.addEventListener('keydown', MainToggles.handleKeydown)
+  document.addEventListener('change', MainToggles.handleChange)
+}
+
 const initMain = () => {
   MainDOM.setClassLoaded()
 }
 
+initPolicy()
+initToggles()
 onReady(initMain)
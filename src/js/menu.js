@@ -0,0 +1,192 @@
+/**
+ * Menu Component
+ *
+ * Marks where the visitor is in every menu rendered by `menu.liquid`
+ * (header, top bar, footer). Links are compared by path only: query
+ * strings, hashes, trailing slashes and a leading locale segment are ignored.
+ * The matching link gets `aria-current="page"` and the items it sits in get
+ * `active-trail`. Without an exact match, the deepest link the current page
+ * lives under (e.g. a collection for one of its products) starts the trail.
+ *
+ * The resolved trail is announced as a `menu:trail` theme event and renders
+ * the `breadcrumbs` snippet, which the layout shows above every page but the
+ * home page.
+ *
+ */
+
+import {
+  eventBus,
+  mutate,
+  componentRegistry
+} from './utils.js'
+
+const MenuConfig = {
+  selectors: {
+    item: 'li',
+    link: 'a[href]',
+    itemLink: ':scope > a[href]',
+    source: '.header__menu',
+    breadcrumbs: {
+      list: '.breadcrumbs__list'
+    }
+  },
+  classes: {
+    trail: 'active-trail',
+    breadcrumbs: {
+      item: 'breadcrumbs__item',
+      link: 'breadcrumbs__link',
+      current: 'breadcrumbs__current'
+    }
+  },
+  attr: {
+    current: 'aria-current',
+    added: 'data-breadcrumbs-trail',
+    source: 'data-breadcrumbs-menu'
+  }
+}
+
+// Locale prefixes follow the document language, e.g. `/nl/` or `/en-us/`
+const localePrefixes = () => {
+  const lang = document.documentElement.lang.toLowerCase()
+  return lang ? [lang, lang.split('-')[0]] : []
+}
+
+const normalizePath = (href) => {
+  let url = null
+
+  try {
+    url = new URL(href, window.location.href)
+  } catch {
+    return null
+  }
+
+  if (url.origin !== window.location.origin) return null
+
+  const segments = url.pathname.toLowerCase().split('/').filter(Boolean)
+  if (localePrefixes().includes(segments[0])) segments.shift()
+
+  return `/${segments.join('/')}`
+}
+
+const MenuTrail = (root) => {
+  const { selectors } = MenuConfig
+
+  const resolveMatch = () => {
+    const current = normalizePath(window.location.href)
+    const links = Array.from(root.querySelectorAll(selectors.link))
+      .map(link => ({ link, path: normalizePath(link.getAttribute('href')) }))
+      .filter(({ path }) => path)
+
+    const exact = links.find(({ path }) => path === current)
+    if (exact) return { link: exact.link, exact: true }
+
+    // Deepest section the page lives under; the home link contains every page
+    const parent = links
+      .filter(({ path }) => path !== '/' && current.startsWith(`${path}/`))
+      .sort((a, b) => b.path.length - a.path.length)[0]
+
+    return parent ? { link: parent.link, exact: false } : null
+  }
+
+  // Menu items from the top level down to the matched link
+  const itemsOf = (link) => {
+    const items = []
+    let item = link.closest(selectors.item)
+
+    while (item && root.contains(item)) {
+      items.unshift(item)
+      item = item.parentElement.closest(selectors.item)
+    }
+
+    return items
+  }
+
+  const resolve = () => {
+    const match = resolveMatch()
+    if (!match) return null
+
+    const items = itemsOf(match.link)
+    const trail = items
+      .map(item => item.querySelector(selectors.itemLink))
+      .filter(Boolean)
+      .map(link => ({
+        title: link.textContent.trim(),
+        url: link.href,
+        current: match.exact && link === match.link
+      }))
+
+    return { ...match, items, trail }
+  }
+
+  return {
+    resolve
+  }
+}
+
+const menuComponent = (root) => {
+  const { attr, classes } = MenuConfig
+  const resolved = MenuTrail(root).resolve()
+
+  if (!resolved) return null
+
+  const { link, exact, items, trail } = resolved
+  // The matched item is part of the trail unless it is the page itself
+  const trailItems = exact ? items.filter(item => item !== link.closest(MenuConfig.selectors.item)) : items
+
+  mutate(() => {
+    if (exact) link.setAttribute(attr.current, 'page')
+    trailItems.forEach(item => item.classList.add(classes.trail))
+  })
+
+  eventBus.emit('menu:trail', { menu: root, trail })
+
+  return () => {
+    link.removeAttribute(attr.current)
+    trailItems.forEach(item => item.classList.remove(classes.trail))
+  }
+}
+
+const breadcrumbsComponent = (root) => {
+  const { attr, classes, selectors } = MenuConfig
+  const list = root.querySelector(selectors.breadcrumbs.list)
+  const source = document.querySelector(root.getAttribute(attr.source) || selectors.source)
+
+  // The home page is where the trail starts
+  if (!list || !source || normalizePath(window.location.href) === '/') return null
+
+  const resolved = MenuTrail(source).resolve()
+  if (!resolved?.trail.length) return null
+
+  const createItem = ({ title, url, current }) => {
+    const item = document.createElement('li')
+    const label = document.createElement(current ? 'span' : 'a')
+
+    item.className = classes.breadcrumbs.item
+    item.setAttribute(attr.added, '')
+    label.textContent = title
+
+    if (current) {
+      label.className = classes.breadcrumbs.current
+      label.setAttribute(attr.current, 'page')
+    } else {
+      label.className = classes.breadcrumbs.link
+      label.href = url
+    }
+
+    item.appendChild(label)
+    return item
+  }
+
+  mutate(() => {
+    list.append(...resolved.trail.map(createItem))
+    root.hidden = false
+  })
+
+  return () => {
+    list.querySelectorAll(`[${attr.added}]`).forEach(item => item.remove())
+    root.hidden = true
+  }
+}
+
+componentRegistry().register('menu', menuComponent)
+componentRegistry().register('breadcrumbs', breadcrumbsComponent)
@@ -0,0 +1,44 @@
+/**
+ * Rental Period
+ *
+ * Carries the rental period (`rentalPeriod` in utils.js) between pages. A
+ * period in the URL (`starts_at` / `stops_at`) is taken over on every page,
+ * and product card links get the current period when they are followed, so
+ * product pages and search results open for the same dates.
+ *
+ * Dates picked in `bq-date-picker` are not read yet: the component's events
+ * aren't documented, and guessing them would drop the period silently.
+ */
+
+import {
+  rentalPeriod,
+  componentRegistry
+} from './utils.js'
+
+const PeriodConfig = {
+  selectors: {
+    productLink: '.product-card__link'
+  },
+  // Links get the period right before they are followed or copied
+  linkEvents: ['click', 'auxclick', 'contextmenu']
+}
+
+// Product cards rendered at any time, by sections or suggestions, follow the current period
+const handleProductLink = (event) => {
+  const link = event.target.closest?.(PeriodConfig.selectors.productLink)
+  if (!link) return
+
+  const href = rentalPeriod.apply(link.getAttribute('href'))
+  if (href !== link.href) link.href = href
+}
+
+const mountRentalPeriod = () => {
+  PeriodConfig.linkEvents.forEach(name => document.addEventListener(name, handleProductLink))
+
+  return () => {
+    PeriodConfig.linkEvents.forEach(name => document.removeEventListener(name, handleProductLink))
+  }
+}
+
+rentalPeriod.restore()
+componentRegistry().register('rental-period', mountRentalPeriod)
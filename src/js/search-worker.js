@@ -0,0 +1,234 @@
+/**
+ * Search Worker
+ *
+ * Matches search suggestions against the product index rendered by the
+ * `search-index` snippet, off the main thread. Every word typed has to match
+ * a word of the product name or excerpt: exactly, as its beginning, inside it
+ * or with a typo or two, depending on its length. Name matches rank above
+ * excerpt matches and names starting with the query rank first. Matched
+ * parts of the name are returned as `[start, end]` ranges for highlighting.
+ *
+ * Messages in: `{ type: 'index', products }`, `{ type: 'match', id, query, limit }`.
+ * Messages out: `{ type: 'ready', size }`, `{ type: 'match', id, products }`.
+ *
+ */
+
+const WorkerConfig = {
+  scores: {
+    exact: 1,
+    prefix: 0.9,
+    typo: 0.7,
+    substring: 0.5,
+    // Lost per typo
+    distance: 0.15,
+    // Excerpt matches count for less than name matches
+    excerpt: 0.5,
+    // Name starting with the whole query
+    start: 0.5
+  },
+  // Typos allowed for typed words up to each length
+  typos: [
+    { length: 3, distance: 0 },
+    { length: 6, distance: 1 },
+    { length: Infinity, distance: 2 }
+  ],
+  minSubstring: 3,
+  word: /[\p{L}\p{N}]+/gu
+}
+
+// Lowercased and without accents, keeping every character in place for the highlight ranges
+const fold = (text) => {
+  return Array.from(String(text || ''), char => {
+    const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    return folded.length === char.length ? folded : char
+  }).join('')
+}
+
+const wordsOf = (text) => {
+  return Array.from(text.matchAll(WorkerConfig.word), match => ({
+    value: match[0],
+    start: match.index
+  }))
+}
+
+const allowedTypos = (term) => {
+  return WorkerConfig.typos.find(({ length }) => term.length <= length).distance
+}
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+const distance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let previous2 = []
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let lowest = i
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1)
+      }
+
+      lowest = Math.min(lowest, current[j])
+    }
+
+    if (lowest > max) return max + 1
+
+    previous2 = previous
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+// Best match of one typed term against the words of a text
+const matchTerm = (term, words) => {
+  const { scores } = WorkerConfig
+  const max = allowedTypos(term)
+  let best = null
+
+  const consider = (score, start, end) => {
+    if (!best || score > best.score) best = { score, range: [start, end] }
+  }
+
+  words.forEach(({ value, start }) => {
+    if (value === term) return consider(scores.exact, start, start + value.length)
+    if (value.startsWith(term)) return consider(scores.prefix, start, start + term.length)
+
+    const inside = value.indexOf(term)
+
+    if (inside > 0 && term.length >= WorkerConfig.minSubstring) {
+      consider(scores.substring, start + inside, start + inside + term.length)
+    }
+
+    if (!max) return
+
+    // While typing, the term is compared with the beginning of longer words
+    const whole = distance(term, value, max)
+    const prefix = value.length > term.length ? distance(term, value.slice(0, term.length), max) : whole
+    const typos = Math.min(whole, prefix)
+
+    if (typos <= max) {
+      const end = whole <= prefix ? value.length : term.length
+      consider(scores.typo - typos * scores.distance, start, start + end)
+    }
+  })
+
+  return best
+}
+
+// Overlapping and touching ranges merged, in order
+const mergeRanges = (ranges) => {
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1]
+
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1])
+      } else {
+        merged.push([...range])
+      }
+
+      return merged
+    }, [])
+}
+
+const SearchMatcher = () => {
+  let entries = []
+
+  const index = (products) => {
+    entries = (Array.isArray(products) ? products : [])
+      .filter(product => product?.name && product?.url)
+      .map(product => {
+        const name = fold(product.name)
+
+        return {
+          product,
+          name,
+          nameWords: wordsOf(name),
+          excerptWords: wordsOf(fold(product.excerpt))
+        }
+      })
+
+    return entries.length
+  }
+
+  const score = (entry, terms, query) => {
+    const { scores } = WorkerConfig
+    const ranges = []
+    let total = entry.name.startsWith(query) ? scores.start : 0
+
+    for (const term of terms) {
+      const name = matchTerm(term, entry.nameWords)
+      const excerpt = matchTerm(term, entry.excerptWords)
+      const excerptScore = excerpt ? excerpt.score * scores.excerpt : 0
+
+      if (!name && !excerpt) return null
+
+      if (name && name.score >= excerptScore) {
+        total += name.score
+        ranges.push(name.range)
+      } else {
+        total += excerptScore
+      }
+    }
+
+    return { total, ranges }
+  }
+
+  const match = (query, limit) => {
+    const folded = fold(query).trim()
+    const terms = wordsOf(folded).map(({ value }) => value)
+
+    if (!terms.length) return []
+
+    return entries
+      .map(entry => ({ entry, result: score(entry, terms, folded) }))
+      .filter(({ result }) => result)
+      .sort((a, b) => {
+        return b.result.total - a.result.total ||
+          a.entry.name.length - b.entry.name.length ||
+          a.entry.name.localeCompare(b.entry.name)
+      })
+      .slice(0, limit)
+      .map(({ entry, result }) => ({
+        name: entry.product.name,
+        url: entry.product.url,
+        image: entry.product.image || '',
+        price: entry.product.price || '',
+        availability: entry.product.availability || '',
+        matches: mergeRanges(result.ranges)
+      }))
+  }
+
+  return {
+    index,
+    match
+  }
+}
+
+const initSearchWorker = (scope) => {
+  const matcher = SearchMatcher()
+
+  const handlers = {
+    index: ({ products }) => {
+      scope.postMessage({ type: 'ready', size: matcher.index(products) })
+    },
+    match: ({ id, query, limit }) => {
+      scope.postMessage({ type: 'match', id, products: matcher.match(query, limit) })
+    }
+  }
+
+  scope.addEventListener('message', ({ data }) => {
+    handlers[data?.type]?.(data)
+  })
+}
+
+initSearchWorker(globalThis)
@@ -3,43 +3,152 @@
  *
  * Handles search functionality with modal overlay, auto-focus,
  * clear button functionality, and URL parameter management.
+ * Every `.search` root (header, footer, ...) is an independent instance:
+ * its elements are looked up inside the root and its listeners only react
+ * to its own form, input, reset and opener.
+ * Announces `search:open` / `search:close` and closes when a menu opens.
+ * The overlay is a modal dialog: while open, focus stays inside it; Escape
+ * closes it and returns focus to the opener. `/` and Ctrl/Cmd+K open it from
+ * anywhere but form fields. The page behind the open overlay is scroll-locked
+ * and the browser's Back button closes it.
+ *
+ * Typing suggests products below the input. Requests go to the store's
+ * search route (or `data-predictive-url`, e.g. a local stub) after a short
+ * pause; stale requests are aborted and answers are cached per query. The
+ * route may answer with a search page of product cards or with JSON
+ * (`{ products: [{ name, url, image, price, availability }] }`). Arrow keys
+ * move through the suggestions and Enter opens one. Without scripting, or
+ * when the route fails, the form simply submits as before.
+ *
+ * With a product index on the page (`search-index` section, or the snippet
+ * rendered inline), suggestions are matched in the browser instead: the index
+ * loads the first time search opens and `search-worker.js` matches it off the
+ * main thread, tolerating typos and highlighting the matched parts.
+ *
+ * While the input is empty, the same list offers recent searches (submitted
+ * queries kept in local storage, newest first, with a control to clear them)
+ * and the popular searches set on the search block.
+ *
+ * Search URLs, suggestion requests and suggested product links carry the
+ * current rental period (see `rental-period.js`).
+ *
+ * Submitted searches and followed suggestions are tracked as `search_submit`
+ * and `search_suggestion_click` analytics events, with the query length
+ * rather than the query itself.
  *
  */
 
 import {
+  analytics,
+  announce,
+  debug,
+  eventBus,
   frameSequence,
-  cleanupSystem
+  componentRegistry,
+  focusTrap,
+  overlayHistory,
+  rentalPeriod,
+  scrollLock,
+  setChecked,
+  storage
 } from './utils.js'
 
 const SearchConfig = {
   selectors: {
     container: '.search',
-    form: '#search',
+    editable: 'input, textarea, select, [contenteditable]:not([contenteditable="false"])',
+    form: '.search__form',
     input: '.search__input',
-    opener: '#header-opener-search',
-    reset: '.search__reset'
+    opener: '.search__toggle',
+    openerLabel: '.search__opener',
+    reset: '.search__reset',
+    wrapper: '.search__wrapper',
+    predictive: {
+      root: '.search__predictive',
+      clear: '.search__predictive-clear',
+      index: 'script[data-search-index]',
+      link: 'a.search__predictive-link',
+      list: '.search__predictive-list',
+      option: '[role="option"]',
+      status: '.search__predictive-status'
+    },
+    card: {
+      root: '.product-card',
+      availability: '.product-card__availability',
+      image: 'img:not(.image-placeholder)',
+      link: '.product-card__link',
+      period: '.product-card__period',
+      price: '.product-card__price',
+      title: '.product-card__title'
+    }
   },
   classes: {
-    filled: 'filled'
+    filled: 'filled',
+    active: 'active',
+    predictive: 'search__predictive'
   },
   attributes: {
-    action: 'action'
+    action: 'action',
+    activeOption: 'aria-activedescendant',
+    allLabel: 'data-all-label',
+    clearLabel: 'data-clear-label',
+    expanded: 'aria-expanded',
+    popular: 'data-popular-searches',
+    popularLabel: 'data-popular-label',
+    predictiveUrl: 'data-predictive-url',
+    query: 'data-search-query',
+    recentLabel: 'data-recent-label',
+    selected: 'aria-selected',
+    suggestion: 'data-suggestion',
+    workerUrl: 'data-worker-url'
   },
   params: {
     query: 'q'
   },
+  messages: {
+    cleared: 'Recent searches cleared',
+    empty: 'No products found',
+    result: '1 suggestion available',
+    results: '{count} suggestions available'
+  },
+  predictive: {
+    cacheSize: 20,
+    debounceTime: 250,
+    // How long the worker may take to index before search falls back to the route
+    indexTimeout: 3000,
+    limit: 6,
+    minLength: 2
+  },
+  recent: {
+    limit: 8
+  },
+  shortcuts: {
+    // Pressed alone
+    keys: ['/'],
+    // Pressed with Ctrl or Cmd
+    modified: ['k']
+  },
+  storage: {
+    name: 'search',
+    recent: 'recent'
+  },
   focusDelay: 50
 }
 
 const SearchDOM = () => {
   const elements = new Map()
 
-  const init = () => {
-    elements.set('container', document.querySelector(SearchConfig.selectors.container))
-    elements.set('form', document.querySelector(SearchConfig.selectors.form))
-    elements.set('input', document.querySelector(SearchConfig.selectors.input))
-    elements.set('opener', document.querySelector(SearchConfig.selectors.opener))
-    elements.set('reset', document.querySelector(SearchConfig.selectors.reset))
+  const init = (root) => {
+    elements.set('container', root)
+    elements.set('form', root.querySelector(SearchConfig.selectors.form))
+    elements.set('input', root.querySelector(SearchConfig.selectors.input))
+    elements.set('opener', root.querySelector(SearchConfig.selectors.opener))
+    elements.set('openerLabel', root.querySelector(SearchConfig.selectors.openerLabel))
+    elements.set('reset', root.querySelector(SearchConfig.selectors.reset))
+    elements.set('wrapper', root.querySelector(SearchConfig.selectors.wrapper))
+    elements.set('predictive', root.querySelector(SearchConfig.selectors.predictive.root))
+    elements.set('predictiveList', root.querySelector(SearchConfig.selectors.predictive.list))
+    elements.set('predictiveStatus', root.querySelector(SearchConfig.selectors.predictive.status))
 
     return elements.get('form') && elements.get('input')
   }
@@ -77,30 +186,41 @@ const SearchUrlHandler = () => {
     return url.searchParams.get(SearchConfig.params.query)
   }
 
-  const buildSearchUrl = (query, formElement) => {
-    if (!url || !formElement) return ''
+  const buildUrl = (query, element, attribute) => {
+    if (!url || !element) return ''
 
-    const route = formElement.getAttribute(SearchConfig.attributes.action)
+    const route = element.getAttribute(attribute)
     if (typeof route !== 'string') return ''
 
     try {
-      const searchUrl = new URL(url.origin + route)
+      const searchUrl = new URL(route, url.origin)
       searchUrl.searchParams.set(SearchConfig.params.query, query)
-      return searchUrl.href
+      return rentalPeriod.apply(searchUrl.href)
     } catch (error) {
       console.error('Failed to build search URL:', error)
       return ''
     }
   }
 
+  const buildSearchUrl = (query, formElement) => {
+    return buildUrl(query, formElement, SearchConfig.attributes.action)
+  }
+
+  const buildSuggestUrl = (query, predictiveElement) => {
+    return buildUrl(query, predictiveElement, SearchConfig.attributes.predictiveUrl)
+  }
+
   return {
     init,
     getQuery,
-    buildSearchUrl
+    buildSearchUrl,
+    buildSuggestUrl
   }
 }
 
 const SearchRenderer = (dom) => {
+  const clearKey = Symbol('search:clear')
+
   const updateClearButton = () => {
     const input = dom.get('input')
     if (!input?.parentElement) return
@@ -114,7 +234,7 @@ const SearchRenderer = (dom) => {
       data.parent.classList.toggle(SearchConfig.classes.filled, data.expose)
     }
 
-    frameSequence(read, write)
+    frameSequence(read, write, clearKey)
   }
 
   const clearInput = () => {
@@ -172,7 +292,645 @@ const SearchRenderer = (dom) => {
   }
 }
 
-const SearchProcessor = (dom, query, renderer) => {
+// Suggestions from a search page of product cards, or from a JSON answer
+const SearchSuggestions = () => {
+  const { card } = SearchConfig.selectors
+  const { limit } = SearchConfig.predictive
+
+  const text = (element) => element?.textContent.replace(/\s+/g, ' ').trim() || ''
+
+  const priceOf = (element) => {
+    const price = text(element.querySelector(card.price))
+    const period = text(element.querySelector(card.period))
+
+    return price && period ? `${price} / ${period}` : price
+  }
+
+  const fromCards = (html) => {
+    const page = new window.DOMParser().parseFromString(html, 'text/html')
+
+    return Array.from(page.querySelectorAll(card.root)).map(element => ({
+      name: text(element.querySelector(card.title)),
+      url: element.querySelector(card.link)?.getAttribute('href') || '',
+      image: element.querySelector(card.image)?.getAttribute('src') || '',
+      price: priceOf(element),
+      availability: text(element.querySelector(card.availability))
+    }))
+  }
+
+  const fromJson = (data) => {
+    const products = Array.isArray(data?.products) ? data.products : []
+
+    return products.map(product => ({
+      name: String(product?.name || ''),
+      url: String(product?.url || ''),
+      image: String(product?.image || ''),
+      price: String(product?.price || ''),
+      availability: String(product?.availability || '')
+    }))
+  }
+
+  const parse = (response) => {
+    if (!response.ok) throw new Error(`Search responded with ${response.status}`)
+
+    const type = response.headers.get('content-type') || ''
+    const products = type.includes('json') ?
+      response.json().then(fromJson) :
+      response.text().then(fromCards)
+
+    return products.then(list => list.filter(product => product.name && product.url).slice(0, limit))
+  }
+
+  return {
+    parse
+  }
+}
+
+// Product index matched by `search-worker.js`, loaded once when first needed
+const SearchIndex = (dom) => {
+  const { attributes, selectors } = SearchConfig
+  const pending = new Map()
+  let worker = null
+  let workerUrl = null
+  let loading = null
+  let requestId = 0
+
+  // The instance's own inline index, or the one of the `search-index` section
+  const read = () => {
+    const script = dom.get('predictive').querySelector(selectors.predictive.index) ||
+      document.querySelector(selectors.predictive.index)
+
+    return script ? JSON.parse(script.textContent) : null
+  }
+
+  // Theme assets may live on another origin, which workers can only import
+  const createWorker = () => {
+    const source = `importScripts(${JSON.stringify(dom.get('predictive').getAttribute(attributes.workerUrl))})`
+
+    workerUrl = URL.createObjectURL(new window.Blob([source], { type: 'text/javascript' }))
+    return new window.Worker(workerUrl)
+  }
+
+  const settle = (id, products, error) => {
+    const request = pending.get(id)
+    if (!request) return
+
+    pending.delete(id)
+
+    if (error) {
+      request.reject(error)
+    } else {
+      request.resolve(products)
+    }
+  }
+
+  const stop = (error) => {
+    worker?.terminate()
+    worker = null
+
+    if (workerUrl) URL.revokeObjectURL(workerUrl)
+    workerUrl = null
+
+    Array.from(pending.keys()).forEach(id => settle(id, null, error))
+  }
+
+  const start = (products) => {
+    if (!Array.isArray(products) || !products.length) return
+    if (!window.Worker || !dom.get('predictive').getAttribute(attributes.workerUrl)) return
+
+    return new Promise((resolve, reject) => {
+      worker = createWorker()
+
+      // A worker script that fails to import (bad URL, CSP, offline) may never report back
+      const timeout = setTimeout(() => {
+        reject(new Error('Search worker timed out'))
+      }, SearchConfig.predictive.indexTimeout)
+
+      worker.addEventListener('message', ({ data }) => {
+        if (data?.type === 'ready') {
+          clearTimeout(timeout)
+          resolve()
+        }
+
+        if (data?.type === 'match') settle(data.id, data.products)
+      })
+
+      worker.addEventListener('error', (event) => {
+        const error = new Error(event.message || 'Search worker failed')
+
+        clearTimeout(timeout)
+        stop(error)
+        reject(error)
+      })
+
+      worker.postMessage({ type: 'index', products })
+    })
+  }
+
+  // Resolves once the index is usable, or unavailable and left to the search route
+  const load = () => {
+    if (!loading) {
+      loading = Promise.resolve()
+        .then(read)
+        .then(start)
+        .catch(error => {
+          debug('Search index is unavailable:', error)
+          stop(error)
+        })
+    }
+
+    return loading.then(() => Boolean(worker))
+  }
+
+  const match = (query, limit) => {
+    if (!worker) return Promise.reject(new Error('No search index'))
+
+    const id = ++requestId
+
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject })
+      worker.postMessage({ type: 'match', id, query, limit })
+    })
+  }
+
+  const destroy = () => {
+    stop(new Error('Search index destroyed'))
+    loading = null
+  }
+
+  return {
+    load,
+    match,
+    destroy
+  }
+}
+
+// Submitted queries, newest first and without repeats
+const SearchRecent = () => {
+  const { limit } = SearchConfig.recent
+  const saved = storage(SearchConfig.storage.name)
+  const key = SearchConfig.storage.recent
+
+  const list = () => {
+    const queries = saved.get(key, [])
+    return Array.isArray(queries) ? queries.filter(query => typeof query === 'string') : []
+  }
+
+  const add = (query) => {
+    const value = String(query || '').trim()
+    if (!value) return
+
+    const same = value.toLowerCase()
+    const queries = list().filter(item => item.toLowerCase() !== same)
+
+    saved.set(key, [value, ...queries].slice(0, limit))
+  }
+
+  const clear = () => {
+    saved.remove(key)
+  }
+
+  return {
+    list,
+    add,
+    clear
+  }
+}
+
+const SearchPredictive = (dom, query, recent) => {
+  const { attributes, classes, messages, selectors } = SearchConfig
+  const { cacheSize, debounceTime, limit, minLength } = SearchConfig.predictive
+  const suggestions = SearchSuggestions()
+  const index = SearchIndex(dom)
+  const cache = new Map()
+  const eventListeners = []
+  const subscriptions = []
+  let controller = null
+  let timer = null
+  let activeIndex = -1
+  let term = ''
+
+  const addEventListener = (element, event, handler, options = {}) => {
+    element.addEventListener(event, handler, options)
+    eventListeners.push({ element, event, handler })
+  }
+
+  const options = () => Array.from(dom.get('predictiveList')?.querySelectorAll(selectors.predictive.option) || [])
+
+  // Product suggestions are off when the search block disables them
+  const suggests = () => dom.get('predictive').hasAttribute(attributes.predictiveUrl)
+
+  const popular = () => {
+    const searches = dom.get('predictive').getAttribute(attributes.popular) || ''
+    return searches.split(',').map(search => search.trim()).filter(Boolean)
+  }
+
+  const isOpen = () => Boolean(dom.get('predictive') && !dom.get('predictive').hidden)
+
+  const remember = (key, products) => {
+    cache.delete(key)
+    cache.set(key, products)
+
+    if (cache.size > cacheSize) cache.delete(cache.keys().next().value)
+  }
+
+  const fetchRemote = (value) => {
+    const url = query.buildSuggestUrl(value, dom.get('predictive'))
+    if (!url) return Promise.reject(new Error('No search route'))
+
+    controller?.abort()
+    controller = new window.AbortController()
+
+    return window.fetch(url, {
+      signal: controller.signal,
+      headers: { Accept: 'text/html, application/json' }
+    }).then(suggestions.parse)
+  }
+
+  const request = (value) => {
+    const key = value.toLowerCase()
+    if (cache.has(key)) return Promise.resolve(cache.get(key))
+
+    return index.load()
+      .then(local => local ? index.match(value, limit).catch(() => fetchRemote(value)) : fetchRemote(value))
+      .then(products => {
+        remember(key, products)
+        return products
+      })
+  }
+
+  // -1 leaves the input itself active
+  const setActive = (index) => {
+    const items = options()
+    const input = dom.get('input')
+
+    activeIndex = index < items.length ? index : -1
+
+    items.forEach((item, itemIndex) => {
+      item.classList.toggle(classes.active, itemIndex === activeIndex)
+      item.setAttribute(attributes.selected, String(itemIndex === activeIndex))
+    })
+
+    const current = items[activeIndex]
+
+    if (!current) {
+      input.removeAttribute(attributes.activeOption)
+      return
+    }
+
+    input.setAttribute(attributes.activeOption, current.id)
+    current.scrollIntoView?.({ block: 'nearest' })
+  }
+
+  const createOption = (control) => {
+    const option = document.createElement('li')
+
+    option.className = `${classes.predictive}-item`
+    option.setAttribute('role', 'option')
+    option.setAttribute(attributes.selected, 'false')
+
+    control.tabIndex = -1
+    option.appendChild(control)
+
+    return option
+  }
+
+  // Options under a heading, e.g. recent or popular searches
+  const createGroup = (name, label, controls) => {
+    const group = document.createElement('li')
+    const heading = createText('heading', label)
+    const list = document.createElement('ul')
+
+    heading.id = `${dom.get('predictiveList').id}-${name}`
+    list.className = `${classes.predictive}-group-list`
+    list.setAttribute('role', 'none')
+    list.append(...controls.map(createOption))
+
+    group.className = `${classes.predictive}-group`
+    group.setAttribute('role', 'group')
+    group.setAttribute('aria-labelledby', heading.id)
+    group.append(heading, list)
+
+    return group
+  }
+
+  const createText = (className, value) => {
+    const element = document.createElement('span')
+
+    element.className = `${classes.predictive}-${className}`
+    element.textContent = value
+
+    return element
+  }
+
+  // Matched `[start, end]` ranges of the value wrapped in `mark`
+  const createHighlighted = (className, value, ranges = []) => {
+    const element = createText(className, '')
+    let position = 0
+
+    ranges.forEach(([start, end]) => {
+      const mark = document.createElement('mark')
+
+      mark.className = `${classes.predictive}-mark`
+      mark.textContent = value.slice(start, end)
+
+      element.append(value.slice(position, start), mark)
+      position = end
+    })
+
+    element.append(value.slice(position))
+    return element
+  }
+
+  const createProduct = (product) => {
+    const link = document.createElement('a')
+    const meta = createText('meta', '')
+
+    link.className = `${classes.predictive}-link`
+    link.href = rentalPeriod.apply(product.url)
+    link.setAttribute(attributes.suggestion, 'product')
+
+    if (product.image) {
+      const image = document.createElement('img')
+
+      image.className = `${classes.predictive}-image`
+      image.src = product.image
+      image.alt = ''
+      image.loading = 'lazy'
+      link.appendChild(image)
+    }
+
+    meta.appendChild(createHighlighted('name', product.name, product.matches))
+    if (product.price) meta.appendChild(createText('price', product.price))
+    if (product.availability) meta.appendChild(createText('availability', product.availability))
+
+    link.appendChild(meta)
+    return link
+  }
+
+  // Link to the search page, remembered as a recent search when followed
+  const createQuery = (value, type, label = value, className = 'query') => {
+    const link = document.createElement('a')
+
+    link.className = `${classes.predictive}-link ${classes.predictive}-${className}`
+    link.href = query.buildSearchUrl(value, dom.get('form'))
+    link.textContent = label
+    link.setAttribute(attributes.query, value)
+    link.setAttribute(attributes.suggestion, type)
+
+    return link
+  }
+
+  const createAll = (value) => {
+    return createQuery(value, 'all', dom.get('predictive').getAttribute(attributes.allLabel), 'all')
+  }
+
+  const createClear = () => {
+    const button = document.createElement('button')
+
+    button.type = 'button'
+    button.className = `${classes.predictive}-link ${classes.predictive}-clear`
+    button.textContent = dom.get('predictive').getAttribute(attributes.clearLabel)
+
+    return button
+  }
+
+  const show = (items, status = '') => {
+    dom.get('predictiveList').replaceChildren(...items)
+    dom.get('predictiveStatus').textContent = status
+
+    options().forEach((option, index) => {
+      option.id = `${dom.get('predictiveList').id}-${index}`
+    })
+
+    dom.get('predictive').hidden = false
+    dom.get('input').setAttribute(attributes.expanded, 'true')
+    setActive(-1)
+  }
+
+  const render = (value, products) => {
+    const links = [...products.map(createProduct), createAll(value)]
+    const count = products.length
+    let message = messages.results.replace('{count}', count)
+
+    if (count === 1) message = messages.result
+    if (!count) message = messages.empty
+
+    show(links.map(createOption), count ? '' : message)
+    announce(message)
+  }
+
+  const renderSearches = () => {
+    const recentSearches = recent.list()
+    const known = new Set(recentSearches.map(search => search.toLowerCase()))
+    const popularSearches = popular().filter(search => !known.has(search.toLowerCase()))
+    const groups = []
+
+    if (recentSearches.length) {
+      const controls = [...recentSearches.map(search => createQuery(search, 'recent')), createClear()]
+      groups.push(createGroup('recent', dom.get('predictive').getAttribute(attributes.recentLabel), controls))
+    }
+
+    if (popularSearches.length) {
+      const controls = popularSearches.map(search => createQuery(search, 'popular'))
+      groups.push(createGroup('popular', dom.get('predictive').getAttribute(attributes.popularLabel), controls))
+    }
+
+    return groups
+  }
+
+  const close = () => {
+    clearTimeout(timer)
+    controller?.abort()
+    controller = null
+    term = ''
+
+    if (!dom.get('predictive')) return
+
+    dom.get('predictive').hidden = true
+    dom.get('predictiveList').replaceChildren()
+    dom.get('input').setAttribute(attributes.expanded, 'false')
+    setActive(-1)
+  }
+
+  // Recent and popular searches for the empty input
+  const showSearches = () => {
+    clearTimeout(timer)
+    controller?.abort()
+    term = ''
+
+    const groups = renderSearches()
+
+    if (!groups.length) {
+      close()
+      return
+    }
+
+    show(groups)
+  }
+
+  const clearRecent = () => {
+    recent.clear()
+    showSearches()
+    dom.get('input').focus()
+    announce(messages.cleared)
+  }
+
+  // Bookkeeping for a followed suggestion link, by pointer or keyboard
+  const follow = (link) => {
+    if (link.hasAttribute(attributes.query)) recent.add(link.getAttribute(attributes.query))
+
+    analytics.track('search_suggestion_click', {
+      position: options().indexOf(link.closest(selectors.predictive.option)) + 1,
+      query_length: dom.get('input').value.trim().length,
+      type: link.getAttribute(attributes.suggestion)
+    })
+  }
+
+  // Follows an option's link, or presses its button
+  const activate = (option) => {
+    const control = option?.querySelector('a, button')
+    if (!control) return false
+
+    if (control.matches(selectors.predictive.clear)) {
+      clearRecent()
+      return true
+    }
+
+    follow(control)
+    window.location.href = control.href
+
+    return true
+  }
+
+  const search = (value) => {
+    term = value
+
+    request(value)
+      .then(products => {
+        if (term === value) render(value, products)
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') return
+
+        // The form still submits to the search page
+        debug('Search suggestions are unavailable:', error)
+        close()
+      })
+  }
+
+  const handleInput = () => {
+    const value = dom.get('input').value.trim()
+
+    clearTimeout(timer)
+
+    if (!value) {
+      showSearches()
+      return
+    }
+
+    if (value.length < minLength || !suggests()) {
+      close()
+      return
+    }
+
+    timer = setTimeout(() => search(value), debounceTime)
+  }
+
+  const handleKeydown = (event) => {
+    // ArrowDown brings the searches back to an empty input
+    if (!isOpen()) {
+      if (event.key === 'ArrowDown' && !dom.get('input').value.trim()) {
+        event.preventDefault()
+        showSearches()
+      }
+      return
+    }
+
+    const count = options().length
+    const actions = {
+      ArrowDown: () => setActive((activeIndex + 1) % count),
+      ArrowUp: () => setActive((activeIndex <= 0 ? count : activeIndex) - 1),
+      Escape: close
+    }
+
+    if (event.key === 'Enter') {
+      if (activate(options()[activeIndex])) event.preventDefault()
+      return
+    }
+
+    if (!actions[event.key]) return
+
+    event.preventDefault()
+    actions[event.key]()
+  }
+
+  const handleFocus = () => {
+    if (!dom.get('input').value.trim()) showSearches()
+  }
+
+  const handleClick = (event) => {
+    if (event.target.closest?.(selectors.predictive.clear)) {
+      event.preventDefault()
+      clearRecent()
+      return
+    }
+
+    const link = event.target.closest?.(selectors.predictive.link)
+    if (link) follow(link)
+  }
+
+  const handlePointerMove = (event) => {
+    const option = event.target.closest?.('[role="option"]')
+    const index = options().indexOf(option)
+
+    if (index >= 0 && index !== activeIndex) setActive(index)
+  }
+
+  const prepare = () => {
+    if (suggests()) index.load()
+  }
+
+  const init = () => {
+    if (!dom.get('predictive') || !dom.get('predictiveList')) return false
+
+    addEventListener(dom.get('input'), 'focus', handleFocus)
+    addEventListener(dom.get('input'), 'input', handleInput)
+    addEventListener(dom.get('input'), 'keydown', handleKeydown)
+    addEventListener(dom.get('predictiveList'), 'click', handleClick)
+    addEventListener(dom.get('predictiveList'), 'pointermove', handlePointerMove)
+
+    // Availability in cached answers belongs to the previous period
+    subscriptions.push(eventBus.on('period:change', () => cache.clear()))
+
+    return true
+  }
+
+  const destroy = () => {
+    close()
+
+    eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler)
+    })
+    eventListeners.length = 0
+
+    subscriptions.forEach(unsubscribe => unsubscribe())
+    subscriptions.length = 0
+
+    index.destroy()
+    cache.clear()
+  }
+
+  return {
+    init,
+    prepare,
+    showSearches,
+    close,
+    destroy
+  }
+}
+
+const SearchProcessor = (dom, query, renderer, trap, history, predictive, recent) => {
   const handleFocus = (event) => {
     const target = event?.target
     if (target !== dom.get('opener')) return
@@ -186,12 +944,80 @@ const SearchProcessor = (dom, query, renderer) => {
 
     event.preventDefault()
     renderer.clearInput()
+    predictive?.showSearches()
   }
 
-  const handleInput = () => {
+  const handleInput = (event) => {
+    if (event?.target !== dom.get('input')) return
+
     renderer.updateClearButton()
   }
 
+  const handleToggle = (event) => {
+    const opener = dom.get('opener')
+    if (!opener || event.target !== opener) return
+
+    const wrapper = dom.get('wrapper') || dom.get('container')
+
+    if (opener.checked) {
+      trap?.activate()
+      scrollLock.lock(wrapper)
+      history?.open()
+      predictive?.prepare()
+    } else {
+      trap?.deactivate()
+      scrollLock.unlock(wrapper)
+      history?.close()
+      predictive?.close()
+
+      if (dom.get('wrapper')?.contains(document.activeElement)) dom.get('openerLabel')?.focus()
+    }
+
+    eventBus.emit(opener.checked ? 'search:open' : 'search:close', {
+      search: dom.get('container')
+    })
+  }
+
+  // Escape closes open suggestions first, see `SearchPredictive`
+  const handleKeydown = (event) => {
+    if (event.key !== 'Escape' || event.defaultPrevented) return
+    if (!setChecked(dom.get('opener'), false)) return
+
+    event.preventDefault()
+    dom.get('openerLabel')?.focus()
+  }
+
+  const handleMenuOpen = () => {
+    setChecked(dom.get('opener'), false)
+  }
+
+  // One search overlay at a time
+  const handleSearchOpen = ({ search }) => {
+    if (search !== dom.get('container')) setChecked(dom.get('opener'), false)
+  }
+
+  const isShortcut = (event) => {
+    const { keys, modified } = SearchConfig.shortcuts
+    const key = event.key?.toLowerCase()
+
+    if (event.altKey) return false
+    if (event.ctrlKey || event.metaKey) return modified.includes(key) && !event.shiftKey
+
+    return keys.includes(key)
+  }
+
+  const handleShortcut = (event) => {
+    if (event.defaultPrevented || event.isComposing || !isShortcut(event)) return
+    if (event.target.closest?.(SearchConfig.selectors.editable)) return
+
+    const opener = dom.get('opener')
+    if (!opener) return
+
+    event.preventDefault()
+    setChecked(opener, true)
+    renderer.focusInput()
+  }
+
   const handleSubmit = (event) => {
     const target = event.target
     if (target !== dom.get('form')) return
@@ -207,6 +1033,12 @@ const SearchProcessor = (dom, query, renderer) => {
     const searchUrl = query.buildSearchUrl(value, target)
     if (!searchUrl.length) return
 
+    recent.add(value)
+    analytics.track('search_submit', {
+      form: target.id,
+      query_length: value.length
+    })
+
     window.location.href = searchUrl
   }
 
@@ -214,12 +1046,19 @@ const SearchProcessor = (dom, query, renderer) => {
     handleFocus,
     handleClear,
     handleInput,
+    handleToggle,
+    handleKeydown,
+    handleMenuOpen,
+    handleSearchOpen,
+    handleShortcut,
     handleSubmit
   }
 }
 
-const searchEvents = (processor) => {
+// Events inside the instance are handled on its root, page-wide keys on `document`
+const searchEvents = (root, processor) => {
   const eventListeners = []
+  const subscriptions = []
 
   const addEventListener = (element, event, handler, options = {}) => {
     element.addEventListener(event, handler, options)
@@ -227,10 +1066,16 @@ const searchEvents = (processor) => {
   }
 
   const init = () => {
-    addEventListener(document, 'click', processor.handleFocus)
-    addEventListener(document, 'click', processor.handleClear)
-    addEventListener(document, 'input', processor.handleInput)
-    addEventListener(document, 'submit', processor.handleSubmit)
+    addEventListener(root, 'click', processor.handleFocus)
+    addEventListener(root, 'click', processor.handleClear)
+    addEventListener(root, 'input', processor.handleInput)
+    addEventListener(root, 'change', processor.handleToggle)
+    addEventListener(root, 'submit', processor.handleSubmit)
+    addEventListener(document, 'keydown', processor.handleKeydown)
+    addEventListener(document, 'keydown', processor.handleShortcut)
+
+    subscriptions.push(eventBus.on('menu:open', processor.handleMenuOpen))
+    subscriptions.push(eventBus.on('search:open', processor.handleSearchOpen))
   }
 
   const destroy = () => {
@@ -238,6 +1083,9 @@ const searchEvents = (processor) => {
       element.removeEventListener(event, handler)
     })
     eventListeners.length = 0
+
+    subscriptions.forEach(unsubscribe => unsubscribe())
+    subscriptions.length = 0
   }
 
   return {
@@ -252,14 +1100,25 @@ const searchComponent = () => {
   let renderer = null
   let processor = null
   let eventManager = null
+  let trap = null
+  let history = null
+  let predictive = null
+  let recent = null
 
-  const init = () => {
-    if (!dom.init()) return null
+  const init = (root) => {
+    if (!root) return null
+    if (!dom.init(root)) return null
     if (!urlHandler.init()) return null
 
     renderer = SearchRenderer(dom)
-    processor = SearchProcessor(dom, urlHandler, renderer)
-    eventManager = searchEvents(processor)
+    trap = dom.get('wrapper') ? focusTrap(dom.get('wrapper')) : null
+    history = overlayHistory(`search:${dom.get('opener')?.id || dom.get('form').id}`, () => setChecked(dom.get('opener'), false))
+    recent = SearchRecent()
+    predictive = SearchPredictive(dom, urlHandler, recent)
+    if (!predictive.init()) predictive = null
+
+    processor = SearchProcessor(dom, urlHandler, renderer, trap, history, predictive, recent)
+    eventManager = searchEvents(root, processor)
 
     // Auto-fill input with query parameter if present
     const query = urlHandler.getQuery()
@@ -272,7 +1131,15 @@ const searchComponent = () => {
 
   const destroy = () => {
     eventManager?.destroy()
+    predictive?.destroy()
+    trap?.deactivate()
+    history?.destroy()
+    scrollLock.unlock(dom.get('wrapper') || dom.get('container'))
     dom?.cleanup()
+    trap = null
+    history = null
+    predictive = null
+    recent = null
     renderer = null
     processor = null
     eventManager = null
@@ -284,14 +1151,10 @@ const searchComponent = () => {
   }
 }
 
-const initSearch = () => {
-  const globalCleanup = cleanupSystem()
+const initSearch = (root) => {
   const search = searchComponent()
-  const cleanup = search.init()
-
-  if (!cleanup) return
-  globalCleanup.register('SearchAPI', cleanup)
+  return search.init(root)
 }
 
-initSearch()
+componentRegistry().register('search', initSearch)
 
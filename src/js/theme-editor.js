@@ -0,0 +1,162 @@
+/**
+ * Theme Editor Component
+ *
+ * Keeps components in sync with the Booqable theme editor:
+ * - Section load/unload mounts or tears down the components inside it
+ * - Section select/deselect pauses and resumes component behaviour
+ * - Block select/deselect reveals the block (carousel slide, accordion item,
+ *   header menu)
+ *
+ */
+
+import {
+  componentRegistry,
+  debug
+} from './utils.js'
+
+const EditorConfig = {
+  events: {
+    sectionLoad: 'booqable:section:load',
+    sectionUnload: 'booqable:section:unload',
+    sectionSelect: 'booqable:section:select',
+    sectionDeselect: 'booqable:section:deselect',
+    blockSelect: 'booqable:block:select',
+    blockDeselect: 'booqable:block:deselect'
+  },
+  selectors: {
+    accordionItem: '.accordion__item',
+    accordionTrigger: '.accordion__trigger'
+  }
+}
+
+const EditorTargets = () => {
+  const isElement = (node) => node?.nodeType === 1
+
+  const getSection = (event) => {
+    if (isElement(event.target)) return event.target
+
+    const sectionId = event.detail?.sectionId
+    return sectionId ? document.getElementById(sectionId) : null
+  }
+
+  // Blocks carry their id directly or as a suffix (e.g. `header-menu`)
+  const getBlock = (event) => {
+    const scope = getSection(event)
+    const blockId = event.detail?.blockId
+
+    if (!blockId) return scope
+
+    const block = document.getElementById(blockId)
+    if (block && (!scope || scope.contains(block))) return block
+
+    return scope?.querySelector(`[id$="-${blockId}"]`) || scope
+  }
+
+  return {
+    getSection,
+    getBlock
+  }
+}
+
+const EditorProcessor = (registry, targets) => {
+  const notify = (target, hook) => {
+    if (!target) return
+
+    registry.find(target).forEach(({ name, instance }) => {
+      try {
+        instance[hook]?.(target)
+      } catch (error) {
+        debug(`Error handling "${hook}" for "${name}":`, error)
+      }
+    })
+  }
+
+  const openAccordion = (block) => {
+    const item = block?.closest(EditorConfig.selectors.accordionItem)
+    const trigger = item?.querySelector(EditorConfig.selectors.accordionTrigger)
+
+    if (trigger && !trigger.checked) trigger.checked = true
+  }
+
+  // The registry's observer usually mounts the new markup first; mounting skips what it already has
+  const handleSectionLoad = (event) => {
+    const section = targets.getSection(event)
+    if (section) registry.mountAll(section)
+  }
+
+  const handleSectionUnload = (event) => {
+    const section = targets.getSection(event)
+    if (section) registry.destroyAll(section)
+  }
+
+  const handleSectionSelect = (event) => {
+    notify(targets.getSection(event), 'select')
+  }
+
+  const handleSectionDeselect = (event) => {
+    notify(targets.getSection(event), 'deselect')
+  }
+
+  const handleBlockSelect = (event) => {
+    const block = targets.getBlock(event)
+
+    openAccordion(block)
+    notify(block, 'select')
+  }
+
+  const handleBlockDeselect = (event) => {
+    notify(targets.getBlock(event), 'deselect')
+  }
+
+  return {
+    handleSectionLoad,
+    handleSectionUnload,
+    handleSectionSelect,
+    handleSectionDeselect,
+    handleBlockSelect,
+    handleBlockDeselect
+  }
+}
+
+const editorEvents = (processor) => {
+  const eventListeners = []
+
+  const addEventListener = (element, event, handler, options = {}) => {
+    element.addEventListener(event, handler, options)
+    eventListeners.push({ element, event, handler })
+  }
+
+  const init = () => {
+    const { events } = EditorConfig
+
+    addEventListener(document, events.sectionLoad, processor.handleSectionLoad)
+    addEventListener(document, events.sectionUnload, processor.handleSectionUnload)
+    addEventListener(document, events.sectionSelect, processor.handleSectionSelect)
+    addEventListener(document, events.sectionDeselect, processor.handleSectionDeselect)
+    addEventListener(document, events.blockSelect, processor.handleBlockSelect)
+    addEventListener(document, events.blockDeselect, processor.handleBlockDeselect)
+  }
+
+  const destroy = () => {
+    eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler)
+    })
+    eventListeners.length = 0
+  }
+
+  return {
+    init,
+    destroy
+  }
+}
+
+const initThemeEditor = () => {
+  const registry = componentRegistry()
+  const targets = EditorTargets()
+  const processor = EditorProcessor(registry, targets)
+  const eventManager = editorEvents(processor)
+
+  eventManager.init()
+}
+
+initThemeEditor()
@@ -3,13 +3,18 @@
  *
  * Handles scroll behavior and top-bar transformations.
  * Adds/removes scroll modifier on documentElement based on scroll direction
- * with a minimum threshold of 200px.
+ * with a minimum threshold of 200px, announced as `topbar:hidden` /
+ * `topbar:shown` theme events.
  *
  */
 
 import {
+  eventBus,
   frameSequence,
-  cleanupSystem,
+  mutate,
+  resizeObserver,
+  scrollManager,
+  componentRegistry,
   setCssVar,
   getDimensions
 } from './utils.js'
@@ -27,10 +32,17 @@ const TopBarConfig = {
   modifier: {
     scroll: 'scrolled'
   },
+  attr: {
+    // Scroll position the bar stays shown up to, also read by anchors.js
+    hideAfter: 'data-hide-after'
+  },
   cssVars: {
     barHeight: '--top-bar-height'
   },
-  minHeight: 200,
+  frameKeys: {
+    height: 'top-bar:height',
+    scroll: 'top-bar:scroll'
+  },
   hysteresis: 20
 }
 
@@ -38,13 +50,14 @@ const TopBarDOM = () => {
   const elements = new Map()
   const cache = new Map([
     ['barHeight', 0],
-    ['lastScroll', 0]
+    ['hideAfter', 0]
   ])
 
-  const init = () => {
+  const init = (root) => {
     elements.set('doc', TopBarConfig.selectors.doc)
     elements.set('header', elements.get('doc').querySelector(TopBarConfig.selectors.header))
-    elements.set('bar', elements.get('doc').querySelector(TopBarConfig.selectors.bar))
+    elements.set('bar', root.closest(TopBarConfig.selectors.bar) || root)
+    cache.set('hideAfter', parseInt(root.getAttribute(TopBarConfig.attr.hideAfter)) || 0)
 
     return elements.get('bar') !== null
   }
@@ -104,7 +117,7 @@ const TopBarHeight = (dom) => {
       setCssVar(TopBarConfig.cssVars.barHeight, `${height}px`, doc)
     }
 
-    frameSequence(read, write)
+    frameSequence(read, write, TopBarConfig.frameKeys.height)
   }
 
   return {
@@ -117,54 +130,54 @@ const TopBarScroll = (dom) => {
   const doc = dom.get('doc')
   const header = dom.get('header')
 
-  const handleScroll = () => {
+  // Scroll subscribers run in the read phase, so only the write is scheduled
+  const handleScroll = ({ y, direction, delta }) => {
     const read = () => {
-      const current = window.scrollY
       const height = dom.getCache('barHeight')
-      const lastScroll = dom.getCache('lastScroll')
       const isScrolled = doc.classList.contains(TopBarConfig.modifier.scroll)
       const isSticky = header?.classList.contains(TopBarConfig.classes.sticky)
-      const threshold = Math.max(TopBarConfig.minHeight, height)
+      const threshold = Math.max(dom.getCache('hideAfter'), height)
 
       return {
-        current,
         threshold,
         isScrolled,
-        isSticky,
-        lastScroll
+        isSticky
       }
     }
 
-    const write = (data) => {
-      if (!data) return
+    const show = () => {
+      doc.classList.remove(TopBarConfig.modifier.scroll)
+      eventBus.emit('topbar:shown')
+    }
 
-      const { current, isScrolled, threshold, lastScroll, isSticky } = data
+    const hide = () => {
+      doc.classList.add(TopBarConfig.modifier.scroll)
+      eventBus.emit('topbar:hidden')
+    }
+
+    const write = (data) => {
+      const { isScrolled, threshold, isSticky } = data
 
       if (!isSticky) return
 
       // Below threshold: always show bar
-      if (current <= threshold) {
-        doc.classList.remove(TopBarConfig.modifier.scroll)
-        dom.setCache('lastScroll', current)
+      if (y <= threshold) {
+        if (isScrolled) show()
         return
       }
 
       // Scrolling up (with hysteresis): show bar
-      if (current < lastScroll - TopBarConfig.hysteresis && isScrolled && current > threshold) {
-        doc.classList.remove(TopBarConfig.modifier.scroll)
-        dom.setCache('lastScroll', current)
+      if (direction === 'up' && delta < -TopBarConfig.hysteresis && isScrolled) {
+        show()
         return
       }
 
       // Scrolling down: hide bar
-      if (current > lastScroll && !isScrolled && current > threshold) {
-        doc.classList.add(TopBarConfig.modifier.scroll)
-      }
-
-      dom.setCache('lastScroll', current)
+      if (direction === 'down' && delta > 0 && !isScrolled) hide()
     }
 
-    frameSequence(read, write)
+    const data = read()
+    mutate(() => write(data), TopBarConfig.frameKeys.scroll)
   }
 
   return {
@@ -172,30 +185,26 @@ const TopBarScroll = (dom) => {
   }
 }
 
-const topBarEvents = (height, scroll) => {
-  let scrollHandler = null
-  let resizeHandler = null
+const topBarEvents = (dom, height, scroll) => {
+  let unsubscribeScroll = null
+  let barObserver = null
 
   const init = () => {
     height.calculate()
 
-    scrollHandler = () => scroll.handleScroll()
-    resizeHandler = () => height.recalculate()
+    unsubscribeScroll = scrollManager.subscribe(scroll.handleScroll)
 
-    window.addEventListener('scroll', scrollHandler, { passive: true })
-    window.addEventListener('resize', resizeHandler, { passive: true })
+    // The bar's height changes when its text wraps or its content is swapped
+    barObserver = resizeObserver(height.recalculate, { element: dom.get('bar'), width: false })
+    barObserver.init()
   }
 
   const destroy = () => {
-    if (scrollHandler) {
-      window.removeEventListener('scroll', scrollHandler, { passive: true })
-      scrollHandler = null
-    }
+    unsubscribeScroll?.()
+    unsubscribeScroll = null
 
-    if (resizeHandler) {
-      window.removeEventListener('resize', resizeHandler, { passive: true })
-      resizeHandler = null
-    }
+    barObserver?.destroy()
+    barObserver = null
   }
 
   return {
@@ -210,12 +219,13 @@ const topBarComponent = () => {
   let scroll = null
   let events = null
 
-  const init = () => {
-    if (!dom.init()) return null
+  const init = (root) => {
+    if (!root) return null
+    if (!dom.init(root)) return null
 
     height = TopBarHeight(dom)
     scroll = TopBarScroll(dom)
-    events = topBarEvents(height, scroll)
+    events = topBarEvents(dom, height, scroll)
 
     events.init()
 
@@ -224,6 +234,7 @@ const topBarComponent = () => {
 
   const destroy = () => {
     events?.destroy()
+    dom.get('doc')?.classList.remove(TopBarConfig.modifier.scroll)
     dom?.cleanup()
     height = null
     scroll = null
@@ -236,13 +247,9 @@ const topBarComponent = () => {
   }
 }
 
-const initTopBar = () => {
-  const globalCleanup = cleanupSystem()
+const initTopBar = (root) => {
   const topBar = topBarComponent()
-  const cleanup = topBar.init()
-
-  if (!cleanup) return
-  globalCleanup.register('TopBarAPI', cleanup)
+  return topBar.init(root)
 }
 
-initTopBar()
+componentRegistry().register('top-bar', initTopBar)
@@ -16,20 +16,109 @@ export const debounce = (func, wait) => {
   }
 }
 
+/**
+ * Shared state utility - every entry file bundles its own copy of these
+ * utilities, so state that must be shared between bundles lives on
+ * `window.theme` under a global symbol
+ */
+const sharedState = (key, create) => {
+  if (!window.theme) window.theme = {}
+
+  const symbol = Symbol.for(`theme.${key}`)
+
+  if (!window.theme[symbol]) {
+    Object.defineProperty(window.theme, symbol, { value: create() })
+  }
+
+  return window.theme[symbol]
+}
+
+/**
+ * Debug logging
+ *
+ * Theme warnings stay silent unless `window.theme.debug` is set. The build
+ * drops `console` calls; going through `window.console` keeps this one in
+ * production bundles on purpose, so warnings can be turned on in a live store.
+ */
+export const debug = (...args) => {
+  if (window.theme?.debug === true) window.console.warn(...args)
+}
+
 /**
  * Single frame utility - schedules callback for next animation frame
  */
 export const nextFrame = (callback) => requestAnimationFrame(callback)
 
+/**
+ * Frame scheduler
+ *
+ * Collects DOM reads and writes from every component and flushes them once
+ * per frame: all reads first, then all writes. Tasks scheduled with the same
+ * key replace each other until the frame runs.
+ */
+const frameQueue = () => sharedState('frames', () => ({
+  reads: new Map(),
+  writes: new Map(),
+  scheduled: false
+}))
+
+const runTasks = (tasks) => {
+  const pending = Array.from(tasks.values())
+  tasks.clear()
+
+  pending.forEach(task => {
+    try {
+      task()
+    } catch (error) {
+      debug('Frame task failed:', error)
+    }
+  })
+}
+
+const requestFlush = (queue) => {
+  if (queue.scheduled) return
+
+  queue.scheduled = true
+  nextFrame(flushFrame)
+}
+
+// Tasks queued while flushing wait for the next frame
+const flushFrame = () => {
+  const queue = frameQueue()
+
+  runTasks(queue.reads)
+  runTasks(queue.writes)
+
+  queue.scheduled = false
+  if (queue.reads.size || queue.writes.size) requestFlush(queue)
+}
+
+const scheduleTask = (type, task, key = Symbol('task')) => {
+  const queue = frameQueue()
+  queue[type].set(key, task)
+
+  requestFlush(queue)
+}
+
+/**
+ * Schedule a DOM read for the next frame
+ */
+export const measure = (callback, key) => scheduleTask('reads', callback, key)
+
+/**
+ * Schedule a DOM write for the next frame
+ */
+export const mutate = (callback, key) => scheduleTask('writes', callback, key)
+
 /**
  * Frame sequencing for optimal performance
  * Separates DOM reads and writes to prevent layout thrashing
  */
-export const frameSequence = (readCallback, writeCallback) => {
-  nextFrame(() => {
+export const frameSequence = (readCallback, writeCallback, key) => {
+  measure(() => {
     const data = readCallback()
-    nextFrame(() => writeCallback(data))
-  })
+    mutate(() => writeCallback(data), key)
+  }, key)
 }
 
 /**
@@ -165,56 +254,1200 @@ export const resizeObserver = (callback, options = {}) => {
 }
 
 /**
- * Global cleanup system to prevent memory leaks
+ * Scroll manager
+ *
+ * One passive scroll listener shared by every component, read once per frame
+ * through the frame scheduler. Subscribers receive `{ y, direction, delta,
+ * velocity }` (direction is 'up' or 'down', velocity in px/ms) during the
+ * read phase and should schedule DOM writes with `mutate`.
+ *
+ * `threshold(offset, callback, { hysteresis })` calls back with `true` once
+ * the page scrolls past `offset` and with `false` once it is back above
+ * `offset - hysteresis`. The offset may be a function for dynamic values.
  */
-export const cleanupSystem = () => {
-  const cleanupFunctions = new Map()
+const ScrollConfig = {
+  frameKey: 'scroll:read'
+}
 
-  const register = (name, cleanupFn) => {
-    if (typeof cleanupFn !== 'function') {
-      console.warn(`Cleanup function for "${name}" is not a function`)
-      return
+const scrollStore = () => sharedState('scroll', () => ({
+  listeners: new Set(),
+  state: { y: 0, direction: null, delta: 0, velocity: 0 },
+  time: 0,
+  handler: null
+}))
+
+const readScroll = () => {
+  const store = scrollStore()
+  const now = window.performance.now()
+  const y = window.scrollY
+
+  // The first read after (re)binding has nothing to compare against
+  const delta = store.time ? y - store.state.y : 0
+  const elapsed = now - store.time
+
+  let direction = store.state.direction
+  if (delta > 0) direction = 'down'
+  if (delta < 0) direction = 'up'
+
+  store.state = {
+    y,
+    direction,
+    delta,
+    velocity: store.time && elapsed > 0 ? delta / elapsed : 0
+  }
+  store.time = now
+
+  store.listeners.forEach(callback => {
+    try {
+      callback(store.state)
+    } catch (error) {
+      debug('Scroll subscriber failed:', error)
     }
+  })
+}
 
-    // Store the cleanup function
-    cleanupFunctions.set(name, cleanupFn)
+const requestScroll = () => measure(readScroll, ScrollConfig.frameKey)
 
-    // Add to global cleanup if it exists
-    if (window.themeCleanup) {
-      const originalCleanup = window.themeCleanup
-      window.themeCleanup = () => {
-        cleanupFn()
-        originalCleanup()
-      }
-    } else {
-      window[`cleanup${name}`] = cleanupFn
+const bindScroll = (store) => {
+  if (store.handler) return
+
+  store.time = 0
+  store.handler = requestScroll
+  window.addEventListener('scroll', store.handler, { passive: true })
+}
+
+const unbindScroll = (store) => {
+  if (!store.handler || store.listeners.size) return
+
+  window.removeEventListener('scroll', store.handler, { passive: true })
+  store.handler = null
+}
+
+export const scrollManager = {
+  get state() {
+    return scrollStore().state
+  },
+
+  subscribe(callback) {
+    const store = scrollStore()
+
+    store.listeners.add(callback)
+    bindScroll(store)
+    requestScroll()
+
+    return () => {
+      store.listeners.delete(callback)
+      unbindScroll(store)
     }
+  },
+
+  threshold(offset, callback, { hysteresis = 0 } = {}) {
+    let past = null
+
+    return scrollManager.subscribe((state) => {
+      const value = typeof offset === 'function' ? offset() : offset
+      const next = past ? state.y > value - hysteresis : state.y > value
+
+      if (next === past) return
+
+      past = next
+      callback(next, state)
+    })
+  }
+}
+
+/**
+ * Breakpoint manager
+ *
+ * Reads the theme breakpoints from the --breakpoint-* custom properties
+ * (rendered by the 'css-root-variables' snippet) and backs every breakpoint
+ * with one shared matchMedia listener. Queries are mobile-first, so
+ * `matches('md')` is true from the md width upwards.
+ */
+const BreakpointConfig = {
+  names: ['xxs', 'xs', 'sm', 'md', 'lg', 'xl', 'xxl'],
+  base: 'base',
+  cssVar: '--breakpoint-'
+}
+
+const breakpointState = () => sharedState('breakpoints', () => ({
+  queries: new Map(),
+  listeners: new Set(),
+  current: null
+}))
+
+const breakpointWidth = (name) => {
+  const styles = getComputedStyle(document.documentElement)
+  return parseFloat(styles.getPropertyValue(`${BreakpointConfig.cssVar}${name}`)) || 0
+}
+
+const breakpointQuery = (name) => {
+  const state = breakpointState()
+  if (state.queries.has(name)) return state.queries.get(name)
+
+  const width = breakpointWidth(name)
+  if (!width) return null
+
+  const entry = {
+    query: `(min-width: ${width}px)`,
+    listeners: new Set()
   }
 
-  const cleanup = (name) => {
-    const cleanupFn = cleanupFunctions.get(name)
-    if (cleanupFn) {
-      cleanupFn()
-      cleanupFunctions.delete(name)
+  entry.media = window.matchMedia(entry.query)
+  entry.media.addEventListener('change', (event) => {
+    entry.listeners.forEach(callback => callback(event.matches))
+    notifyBreakpoint()
+  })
+
+  state.queries.set(name, entry)
+  return entry
+}
+
+const currentBreakpoint = () => {
+  const matched = BreakpointConfig.names.filter(name => breakpointQuery(name)?.media.matches)
+  return matched.length ? matched[matched.length - 1] : BreakpointConfig.base
+}
+
+const notifyBreakpoint = () => {
+  const state = breakpointState()
+  const current = currentBreakpoint()
+
+  if (current === state.current) return
+
+  state.current = current
+  state.listeners.forEach(callback => callback(current))
+}
+
+export const breakpoints = {
+  names: BreakpointConfig.names,
+
+  get current() {
+    return currentBreakpoint()
+  },
+
+  query(name) {
+    return breakpointQuery(name)?.query || null
+  },
+
+  matches(name) {
+    return Boolean(breakpointQuery(name)?.media.matches)
+  },
+
+  onChange(name, callback) {
+    const entry = breakpointQuery(name)
+    if (!entry) return () => {}
+
+    entry.listeners.add(callback)
+    return () => entry.listeners.delete(callback)
+  },
+
+  subscribe(callback) {
+    const state = breakpointState()
+    if (state.current === null) state.current = currentBreakpoint()
+
+    state.listeners.add(callback)
+    return () => state.listeners.delete(callback)
+  }
+}
+
+/**
+ * Component registry
+ *
+ * Components register a setup function by name and get mounted onto every
+ * element marked with `data-component="name"`. The setup receives the root
+ * element and may return a cleanup function, or an instance object with
+ * `destroy` and optional `select`/`deselect` hooks. Every entry file
+ * bundles its own copy of these utilities, so the registry state is kept
+ * in shared state on `window.theme`.
+ *
+ * Public API on `window.theme`:
+ * - `init(name, root)` mounts one component (or all when no name is given)
+ * - `destroy(name)` tears down one component, `destroy()` the whole theme
+ * - `ready(name)` resolves once the component is registered and mounted
+ * - `registered` lists the registered component names
+ */
+const RegistryConfig = {
+  attr: 'data-component',
+  global: 'theme',
+  store: 'registry'
+}
+
+const registryStore = () => sharedState(RegistryConfig.store, () => ({
+  components: new Map(),
+  instances: new Map(),
+  ready: new Map(),
+  observer: null
+}))
+
+const readyState = (store, name) => {
+  if (!store.ready.has(name)) {
+    let resolve = null
+    const promise = new Promise(done => { resolve = done })
+    store.ready.set(name, { promise, resolve })
+  }
+
+  return store.ready.get(name)
+}
+
+export const componentRegistry = () => {
+  const store = registryStore()
+
+  const findElements = (name, root) => {
+    const selector = `[${RegistryConfig.attr}~="${name}"]`
+    const elements = Array.from(root.querySelectorAll(selector))
+
+    if (root.matches?.(selector)) elements.unshift(root)
+
+    return elements
+  }
+
+  const toInstance = (result) => {
+    if (typeof result === 'function') return { destroy: result }
+    if (result && typeof result === 'object') return result
+    return {}
+  }
+
+  const mountElement = (name, element) => {
+    const instances = store.instances.get(name)
+    if (instances.has(element)) return
+
+    try {
+      instances.set(element, toInstance(store.components.get(name)(element)))
+    } catch (error) {
+      debug(`Error mounting "${name}":`, error)
     }
   }
 
-  const cleanupAll = () => {
-    cleanupFunctions.forEach((cleanupFn, name) => {
+  const mount = (name, root = document) => {
+    if (!store.components.has(name)) return
+
+    findElements(name, root).forEach(element => mountElement(name, element))
+  }
+
+  const destroy = (name, root = document) => {
+    const instances = store.instances.get(name)
+    if (!instances) return
+
+    instances.forEach((instance, element) => {
+      if (root !== document && !root.contains(element)) return
+
       try {
-        cleanupFn()
+        instance.destroy?.()
       } catch (error) {
-        console.warn(`Error cleaning up "${name}":`, error)
+        debug(`Error destroying "${name}":`, error)
       }
+
+      instances.delete(element)
+    })
+  }
+
+  const mountAll = (root = document) => {
+    store.components.forEach((_, name) => mount(name, root))
+  }
+
+  const destroyAll = (root = document) => {
+    store.instances.forEach((_, name) => destroy(name, root))
+  }
+
+  // Mounted instances inside the target or wrapping it
+  const find = (target) => {
+    const found = []
+
+    store.instances.forEach((instances, name) => {
+      instances.forEach((instance, element) => {
+        if (!target.contains(element) && !element.contains(target)) return
+        found.push({ name, element, instance })
+      })
+    })
+
+    return found
+  }
+
+  // Wire up injected markup and tear down removed markup automatically
+  const handleMutations = (mutations) => {
+    mutations.forEach(({ addedNodes, removedNodes }) => {
+      removedNodes.forEach(node => {
+        if (node.nodeType === 1 && !node.isConnected) destroyAll(node)
+      })
+
+      addedNodes.forEach(node => {
+        if (node.nodeType === 1 && node.isConnected) mountAll(node)
+      })
     })
-    cleanupFunctions.clear()
+  }
+
+  const observe = () => {
+    if (store.observer) return
+
+    // eslint-disable-next-line no-undef
+    store.observer = new MutationObserver(handleMutations)
+    store.observer.observe(document.documentElement, { childList: true, subtree: true })
+  }
+
+  const disconnect = () => {
+    store.observer?.disconnect()
+    store.observer = null
+  }
+
+  const ready = (name) => readyState(store, name).promise
+
+  const init = (name, root = document) => {
+    observe()
+    name ? mount(name, root) : mountAll(root)
+  }
+
+  const teardown = (name, root = document) => {
+    if (name) {
+      destroy(name, root)
+      return
+    }
+
+    disconnect()
+    destroyAll(root)
+  }
+
+  const expose = () => {
+    const theme = window[RegistryConfig.global]
+    if (typeof theme.init === 'function') return
+
+    Object.defineProperties(theme, {
+      init: { value: init, enumerable: true },
+      destroy: { value: teardown, enumerable: true },
+      ready: { value: ready, enumerable: true },
+      registered: { get: () => Array.from(store.components.keys()), enumerable: true }
+    })
+  }
+
+  const register = (name, setup) => {
+    if (typeof setup !== 'function') {
+      debug(`Setup function for "${name}" is not a function`)
+      return
+    }
+
+    destroy(name)
+    store.components.set(name, setup)
+    store.instances.set(name, new Map())
+
+    expose()
+    observe()
+    mount(name)
+
+    readyState(store, name).resolve()
   }
 
   return {
     register,
-    cleanup,
-    cleanupAll,
-    get registered() { return Array.from(cleanupFunctions.keys()) }
+    mount,
+    mountAll,
+    destroy,
+    destroyAll,
+    find,
+    ready,
+    get registered() { return Array.from(store.components.keys()) }
+  }
+}
+
+/**
+ * Checkbox toggle utility - menus and overlays are driven by hidden
+ * checkboxes; programmatic changes dispatch `change` so listeners stay in sync
+ */
+export const setChecked = (input, checked) => {
+  if (!input || input.checked === checked) return false
+
+  input.checked = checked
+  // eslint-disable-next-line no-undef
+  input.dispatchEvent(new Event('change', { bubbles: true }))
+
+  return true
+}
+
+/**
+ * Focus utilities
+ *
+ * `focusableElements` lists the visible, keyboard-reachable elements of a
+ * container. `focusTrap` keeps Tab / Shift+Tab cycling inside a container
+ * while it is active (mobile menu, search overlay); moving focus into the
+ * container is left to the caller.
+ */
+const FocusConfig = {
+  focusable: [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+  ].join(', ')
+}
+
+export const focusableElements = (container) => {
+  if (!container) return []
+
+  return Array.from(container.querySelectorAll(FocusConfig.focusable)).filter(element => {
+    if (element.tabIndex < 0 || element.closest('[inert]')) return false
+    return element.getClientRects().length > 0
+  })
+}
+
+export const focusTrap = (container) => {
+  let active = false
+
+  const handleKeydown = (event) => {
+    if (event.key !== 'Tab') return
+
+    const elements = focusableElements(container)
+    if (!elements.length) {
+      event.preventDefault()
+      return
+    }
+
+    const first = elements[0]
+    const last = elements[elements.length - 1]
+    const current = document.activeElement
+    const outside = !container.contains(current)
+
+    if (event.shiftKey && (outside || current === first)) {
+      event.preventDefault()
+      last.focus()
+    } else if (!event.shiftKey && (outside || current === last)) {
+      event.preventDefault()
+      first.focus()
+    }
+  }
+
+  const activate = () => {
+    if (active) return
+
+    active = true
+    document.addEventListener('keydown', handleKeydown)
+  }
+
+  const deactivate = () => {
+    if (!active) return
+
+    active = false
+    document.removeEventListener('keydown', handleKeydown)
+  }
+
+  return {
+    activate,
+    deactivate,
+    get active() { return active }
+  }
+}
+
+/**
+ * Scroll lock
+ *
+ * Stops the page behind an open overlay from scrolling. Locks are counted per
+ * owner element, so the page only unlocks once the last overlay closes. The
+ * scrollbar width is kept as body padding (and published as
+ * --scrollbar-width for fixed elements) so the layout doesn't shift, and
+ * touchmove outside the owners is cancelled because iOS Safari ignores
+ * `overflow: hidden` on the page.
+ */
+const ScrollLockConfig = {
+  className: 'scroll-locked',
+  cssVar: '--scrollbar-width'
+}
+
+const scrollLockState = () => sharedState('scrollLock', () => ({
+  owners: new Set(),
+  styles: null,
+  y: 0
+}))
+
+// Touches may still scroll an owner, or anything inside it that can scroll
+const canScroll = (owner, target) => {
+  for (let node = target; node && owner.contains(node); node = node.parentElement) {
+    if (node.scrollHeight > node.clientHeight) return true
+  }
+
+  return false
+}
+
+const handleLockedTouch = (event) => {
+  const { owners } = scrollLockState()
+  const allowed = Array.from(owners).some(owner => canScroll(owner, event.target))
+
+  if (!allowed && event.cancelable) event.preventDefault()
+}
+
+export const scrollLock = {
+  get locked() {
+    return scrollLockState().owners.size > 0
+  },
+
+  lock(owner = document.body) {
+    const state = scrollLockState()
+    if (state.owners.has(owner)) return
+
+    state.owners.add(owner)
+    if (state.owners.size > 1) return
+
+    const doc = document.documentElement
+    const { body } = document
+    const scrollbar = Math.max(window.innerWidth - doc.clientWidth, 0)
+
+    state.y = window.scrollY
+    state.styles = {
+      overflow: doc.style.overflow,
+      paddingRight: body.style.paddingRight
+    }
+
+    doc.style.overflow = 'hidden'
+    if (scrollbar) body.style.paddingRight = `${scrollbar}px`
+
+    setCssVar(ScrollLockConfig.cssVar, `${scrollbar}px`, doc)
+    doc.classList.add(ScrollLockConfig.className)
+    document.addEventListener('touchmove', handleLockedTouch, { passive: false })
+  },
+
+  unlock(owner = document.body) {
+    const state = scrollLockState()
+    if (!state.owners.delete(owner) || state.owners.size) return
+
+    const doc = document.documentElement
+
+    doc.style.overflow = state.styles.overflow
+    document.body.style.paddingRight = state.styles.paddingRight
+    doc.style.removeProperty(ScrollLockConfig.cssVar)
+    doc.classList.remove(ScrollLockConfig.className)
+    document.removeEventListener('touchmove', handleLockedTouch, { passive: false })
+
+    // iOS can still move the page underneath while it is locked
+    if (window.scrollY !== state.y) window.scrollTo(0, state.y)
+    state.styles = null
+  }
+}
+
+/**
+ * Overlay history
+ *
+ * Gives an open overlay (mobile menu, search) its own history entry, so the
+ * browser's Back button closes it instead of leaving the page. Overlays share
+ * a single entry: opening another overlay takes it over, and closing one from
+ * the page removes the entry again.
+ */
+const HistoryConfig = {
+  key: 'themeOverlay'
+}
+
+const isOverlayEntry = () => Boolean(window.history.state?.[HistoryConfig.key])
+
+const dropOverlayEntry = () => {
+  if (!isOverlayEntry()) return
+
+  const entry = { ...window.history.state }
+  delete entry[HistoryConfig.key]
+  window.history.replaceState(entry, '')
+}
+
+// An entry left by an overlay before the page was left (Back after following
+// a link from the open menu) belongs to no overlay here; stepping back from
+// it on close would leave the page
+const historyState = () => sharedState('history', () => {
+  const state = { owner: null }
+
+  const dropStaleEntry = () => {
+    if (!state.owner) dropOverlayEntry()
+  }
+
+  dropStaleEntry()
+  window.addEventListener('pageshow', dropStaleEntry)
+
+  return state
+})
+
+// Keeps the open overlay's entry as a plain page entry, so closing the overlay
+// doesn't step back; for navigation that closes it and moves on (hash links)
+export const releaseOverlayHistory = () => {
+  const state = historyState()
+  if (!state.owner) return
+
+  state.owner = null
+  dropOverlayEntry()
+}
+
+export const overlayHistory = (name, onBack) => {
+  const state = historyState()
+
+  const handlePopState = (event) => {
+    if (state.owner !== name || event.state?.[HistoryConfig.key] === name) return
+
+    state.owner = null
+    onBack()
+  }
+
+  const open = () => {
+    if (state.owner === name) return
+
+    const entry = { ...window.history.state, [HistoryConfig.key]: name }
+
+    isOverlayEntry() ?
+      window.history.replaceState(entry, '') :
+      window.history.pushState(entry, '')
+
+    state.owner = name
+  }
+
+  const close = () => {
+    if (state.owner !== name) return
+
+    state.owner = null
+
+    // An overlay opened by the same click takes the entry over instead
+    setTimeout(() => {
+      if (!state.owner && isOverlayEntry()) window.history.back()
+    }, 0)
+  }
+
+  const destroy = () => {
+    window.removeEventListener('popstate', handlePopState)
+    close()
+  }
+
+  window.addEventListener('popstate', handlePopState)
+
+  return {
+    open,
+    close,
+    destroy
+  }
+}
+
+/**
+ * Screen reader announcements
+ *
+ * A single polite live region shared by every bundle, for changes that
+ * aren't announced on their own (menu levels, carousel slides). The region is
+ * emptied first so repeating the same message is announced again.
+ */
+const AnnounceConfig = {
+  className: 'visually-hidden',
+  delay: 100
+}
+
+const announceState = () => sharedState('announce', () => ({
+  region: null,
+  timeout: null
+}))
+
+export const announce = (message) => {
+  const state = announceState()
+
+  if (!state.region?.isConnected) {
+    state.region = document.createElement('div')
+    state.region.className = AnnounceConfig.className
+    state.region.setAttribute('aria-live', 'polite')
+    state.region.setAttribute('aria-atomic', 'true')
+    document.body.appendChild(state.region)
+  }
+
+  clearTimeout(state.timeout)
+  state.region.textContent = ''
+
+  state.timeout = setTimeout(() => {
+    state.region.textContent = message
+  }, AnnounceConfig.delay)
+}
+
+/**
+ * Event bus
+ *
+ * Named events for communication between components. Events travel as
+ * `theme:<name>` CustomEvents on `document`, so they reach every bundle and
+ * third-party scripts can listen with a plain `addEventListener`. Handlers
+ * receive the event detail.
+ */
+const EventConfig = {
+  prefix: 'theme:',
+  names: [
+    'search:open',
+    'search:close',
+    'menu:open',
+    'menu:close',
+    'menu:trail',
+    'carousel:select',
+    'image:loaded',
+    'topbar:hidden',
+    'topbar:shown',
+    'header:hidden',
+    'header:shown',
+    'period:change'
+  ]
+}
+
+const eventType = (name) => {
+  if (EventConfig.names.includes(name)) return `${EventConfig.prefix}${name}`
+
+  debug(`Unknown theme event "${name}"`)
+  return null
+}
+
+export const eventBus = {
+  names: EventConfig.names,
+
+  emit(name, detail = {}) {
+    const type = eventType(name)
+    if (!type) return
+
+    // eslint-disable-next-line no-undef
+    document.dispatchEvent(new CustomEvent(type, { detail }))
+  },
+
+  on(name, callback, options = {}) {
+    const type = eventType(name)
+    if (!type) return () => {}
+
+    const handler = (event) => callback(event.detail)
+
+    document.addEventListener(type, handler, options)
+    return () => document.removeEventListener(type, handler, options)
+  },
+
+  once(name, callback) {
+    return eventBus.on(name, callback, { once: true })
+  }
+}
+
+/**
+ * Storage
+ *
+ * Namespaced wrapper around localStorage / sessionStorage. Values are kept
+ * as JSON under `theme:<name>:<key>` together with an optional expiry and
+ * the store's schema version. Entries written by an older version are
+ * passed through `migrate(value, version)`; returning `undefined` drops them.
+ * When storage is blocked (private mode, sandboxed iframes) or full, values
+ * live in memory for the rest of the page visit instead.
+ *
+ * const recent = storage('recent-searches', { version: 2, ttl: 86400000 })
+ * recent.set('items', ['tent'])
+ * recent.get('items', [])
+ */
+const StorageConfig = {
+  namespace: 'theme',
+  probe: 'theme:probe'
+}
+
+const memoryBackend = () => {
+  const data = new Map()
+
+  return {
+    getItem: (key) => data.has(key) ? data.get(key) : null,
+    setItem: (key, value) => { data.set(key, String(value)) },
+    removeItem: (key) => { data.delete(key) },
+    key: (index) => Array.from(data.keys())[index] ?? null,
+    get length() { return data.size }
+  }
+}
+
+const storageBackends = () => sharedState('storage', () => ({
+  local: null,
+  session: null,
+  memory: {
+    local: memoryBackend(),
+    session: memoryBackend()
+  }
+}))
+
+const storageBackend = (type) => {
+  const backends = storageBackends()
+  if (backends[type]) return backends[type]
+
+  try {
+    // Merely touching the storage object throws when it is blocked
+    const backend = type === 'session' ? sessionStorage : localStorage
+
+    backend.setItem(StorageConfig.probe, StorageConfig.probe)
+    backend.removeItem(StorageConfig.probe)
+    backends[type] = backend
+  } catch {
+    backends[type] = backends.memory[type]
+  }
+
+  return backends[type]
+}
+
+const storageKeys = (backend, prefix) => {
+  const keys = []
+
+  for (let index = 0; index < backend.length; index++) {
+    const key = backend.key(index)
+    if (key?.startsWith(prefix)) keys.push(key)
+  }
+
+  return keys
+}
+
+const parseEntry = (raw) => {
+  try {
+    const entry = JSON.parse(raw)
+    return entry && typeof entry === 'object' && 'value' in entry ? entry : null
+  } catch {
+    return null
+  }
+}
+
+const isExpired = (entry) => Boolean(entry.expires && entry.expires <= Date.now())
+
+// Frees space taken by expired theme entries, returns whether anything went
+const purgeExpired = (backend) => {
+  const expired = storageKeys(backend, `${StorageConfig.namespace}:`).filter(key => {
+    const entry = parseEntry(backend.getItem(key))
+    return !entry || isExpired(entry)
+  })
+
+  expired.forEach(key => backend.removeItem(key))
+  return expired.length > 0
+}
+
+export const storage = (name, options = {}) => {
+  const {
+    type = 'local',
+    version = 1,
+    ttl = null,
+    migrate = null
+  } = options
+
+  const prefix = `${StorageConfig.namespace}:${name}:`
+  const backend = storageBackend(type)
+  const memory = storageBackends().memory[type]
+
+  // Values that didn't fit in storage are kept in memory and take precedence
+  const read = (fullKey) => memory.getItem(fullKey) ?? backend.getItem(fullKey)
+
+  const persist = (fullKey, raw) => {
+    try {
+      backend.setItem(fullKey, raw)
+      return true
+    } catch {
+      return false
+    }
+  }
+
+  const write = (key, value, expires) => {
+    const fullKey = `${prefix}${key}`
+    let raw = null
+
+    try {
+      raw = JSON.stringify({ version, expires, value })
+    } catch (error) {
+      debug(`Unable to store "${name}:${key}":`, error)
+      return false
+    }
+
+    if (persist(fullKey, raw) || (purgeExpired(backend) && persist(fullKey, raw))) {
+      if (backend !== memory) memory.removeItem(fullKey)
+      return true
+    }
+
+    memory.setItem(fullKey, raw)
+    return false
+  }
+
+  const remove = (key) => {
+    const fullKey = `${prefix}${key}`
+
+    memory.removeItem(fullKey)
+    backend.removeItem(fullKey)
+  }
+
+  const upgrade = (key, entry) => {
+    if (!migrate) return undefined
+
+    try {
+      const value = migrate(entry.value, entry.version)
+      if (value !== undefined) write(key, value, entry.expires)
+      return value
+    } catch (error) {
+      debug(`Unable to migrate "${name}:${key}":`, error)
+      return undefined
+    }
+  }
+
+  const get = (key, fallback = null) => {
+    const raw = read(`${prefix}${key}`)
+    if (raw === null) return fallback
+
+    const entry = parseEntry(raw)
+    let value
+
+    if (entry && !isExpired(entry)) {
+      value = entry.version === version ? entry.value : upgrade(key, entry)
+    }
+
+    if (value === undefined) {
+      remove(key)
+      return fallback
+    }
+
+    return value
+  }
+
+  const set = (key, value, { ttl: lifetime = ttl } = {}) => {
+    const expires = lifetime ? Date.now() + lifetime : null
+    return write(key, value, expires)
+  }
+
+  const has = (key) => get(key, undefined) !== undefined
+
+  const keys = () => {
+    const found = new Set([
+      ...storageKeys(backend, prefix),
+      ...storageKeys(memory, prefix)
+    ])
+
+    return Array.from(found, key => key.slice(prefix.length))
+  }
+
+  const clear = () => {
+    keys().forEach(remove)
+  }
+
+  return {
+    get,
+    set,
+    has,
+    remove,
+    keys,
+    clear
+  }
+}
+
+/**
+ * Rental period
+ *
+ * The start and end dates the visitor picked, shared by the date picker,
+ * search and product links. The period is kept in session storage and
+ * travels between pages as `starts_at` / `stops_at` query parameters;
+ * `restore()` takes it over from the current URL. Changes are announced as
+ * a `period:change` theme event with `{ period }` (null once cleared).
+ */
+const RentalPeriodConfig = {
+  storage: {
+    name: 'rental-period',
+    key: 'current'
+  },
+  params: {
+    from: 'starts_at',
+    till: 'stops_at'
+  }
+}
+
+const rentalPeriodStore = () => storage(RentalPeriodConfig.storage.name, { type: 'session' })
+
+// Both dates parse and the period doesn't end before it starts
+const normalizePeriod = (period) => {
+  const from = String(period?.from || '').trim()
+  const till = String(period?.till || '').trim()
+
+  if (!from || !till) return null
+  if (Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(till))) return null
+  if (Date.parse(till) < Date.parse(from)) return null
+
+  return { from, till }
+}
+
+const parseHref = (href) => {
+  try {
+    return new URL(href, window.location.href)
+  } catch {
+    return null
+  }
+}
+
+export const rentalPeriod = {
+  params: RentalPeriodConfig.params,
+
+  get() {
+    return normalizePeriod(rentalPeriodStore().get(RentalPeriodConfig.storage.key))
+  },
+
+  set(period) {
+    const next = normalizePeriod(period)
+    const current = this.get()
+
+    if (next?.from === current?.from && next?.till === current?.till) return current
+
+    if (next) {
+      rentalPeriodStore().set(RentalPeriodConfig.storage.key, next)
+    } else {
+      rentalPeriodStore().remove(RentalPeriodConfig.storage.key)
+    }
+
+    eventBus.emit('period:change', { period: next })
+    return next
+  },
+
+  clear() {
+    return this.set(null)
+  },
+
+  fromUrl(href = window.location.href) {
+    const url = parseHref(href)
+    if (!url) return null
+
+    const { from, till } = RentalPeriodConfig.params
+    return normalizePeriod({ from: url.searchParams.get(from), till: url.searchParams.get(till) })
+  },
+
+  restore(href = window.location.href) {
+    const period = this.fromUrl(href)
+    return period ? this.set(period) : this.get()
+  },
+
+  // Same-origin `href` carrying the period, or without it when none is set
+  apply(href, period = this.get()) {
+    const url = parseHref(href)
+    if (!url || url.origin !== window.location.origin) return href
+
+    const { from, till } = RentalPeriodConfig.params
+
+    if (period) {
+      url.searchParams.set(from, period.from)
+      url.searchParams.set(till, period.till)
+    } else {
+      url.searchParams.delete(from)
+      url.searchParams.delete(till)
+    }
+
+    return url.href
+  }
+}
+
+/**
+ * Analytics
+ *
+ * Structured events (`search_submit`, `menu_click`, ...) sent through one
+ * pluggable adapter shared by every bundle. Nothing is sent until consent is
+ * granted: events tracked before the adapter is set or consent is decided
+ * wait in a short queue, and denying consent drops them. Adapters are objects
+ * with `send(event)`; `analyticsAdapters` has ready-made ones for
+ * `window.dataLayer`, a `sendBeacon` endpoint and a no-op.
+ *
+ * analytics.use(analyticsAdapters.dataLayer())
+ * analytics.consent(true)
+ * analytics.track('menu_click', { depth: 2 })
+ */
+const AnalyticsConfig = {
+  storage: {
+    name: 'analytics',
+    consent: 'consent'
+  },
+  eventPrefix: 'theme_',
+  queueSize: 50
+}
+
+const analyticsStore = () => storage(AnalyticsConfig.storage.name)
+
+const analyticsState = () => sharedState('analytics', () => {
+  const consent = analyticsStore().get(AnalyticsConfig.storage.consent, null)
+
+  return {
+    adapter: null,
+    consent: typeof consent === 'boolean' ? consent : null,
+    queue: []
+  }
+})
+
+const sendAnalytics = (adapter, event) => {
+  try {
+    adapter.send(event)
+  } catch (error) {
+    debug(`Unable to send analytics event "${event.name}":`, error)
+  }
+}
+
+const flushAnalytics = () => {
+  const state = analyticsState()
+  if (!state.adapter || state.consent !== true) return
+
+  state.queue.splice(0).forEach(event => sendAnalytics(state.adapter, event))
+}
+
+export const analyticsAdapters = {
+  // Google Tag Manager style: `{ event: 'theme_<name>', ...data }`
+  dataLayer(name = 'dataLayer') {
+    return {
+      send({ name: eventName, data }) {
+        window[name] = window[name] || []
+        window[name].push({ event: `${AnalyticsConfig.eventPrefix}${eventName}`, ...data })
+      }
+    }
+  },
+
+  beacon(endpoint) {
+    return {
+      send(event) {
+        const body = JSON.stringify(event)
+
+        if (navigator.sendBeacon?.(endpoint, body)) return
+
+        window.fetch(endpoint, {
+          method: 'POST',
+          body,
+          keepalive: true,
+          headers: { 'Content-Type': 'application/json' }
+        }).catch(() => {})
+      }
+    }
+  },
+
+  none() {
+    return {
+      send() {}
+    }
+  }
+}
+
+export const analytics = {
+  use(adapter) {
+    if (typeof adapter?.send !== 'function') {
+      debug('Analytics adapter needs a send(event) method')
+      return
+    }
+
+    analyticsState().adapter = adapter
+    flushAnalytics()
+  },
+
+  // `remember: false` for consent implied by the store settings
+  consent(granted, { remember = true } = {}) {
+    const state = analyticsState()
+
+    state.consent = Boolean(granted)
+    if (remember) analyticsStore().set(AnalyticsConfig.storage.consent, state.consent)
+
+    if (state.consent) {
+      flushAnalytics()
+    } else {
+      state.queue.length = 0
+    }
+  },
+
+  get granted() {
+    return analyticsState().consent === true
+  },
+
+  track(name, data = {}) {
+    const state = analyticsState()
+    if (state.consent === false) return
+
+    const event = {
+      name,
+      data,
+      page: window.location.pathname,
+      timestamp: Date.now()
+    }
+
+    if (state.adapter && state.consent) {
+      sendAnalytics(state.adapter, event)
+      return
+    }
+
+    state.queue.push(event)
+    if (state.queue.length > AnalyticsConfig.queueSize) state.queue.shift()
   }
 }
 
@@ -275,6 +1508,78 @@ export const slowConnection = () => {
   return connectionType === '2g' || connectionType === 'slow-2g'
 }
 
+/**
+ * Motion and data policy
+ *
+ * Combines `prefers-reduced-motion`, `prefers-reduced-data`, the Save-Data
+ * hint and slow connections into one policy shared by every component.
+ * The policy follows OS and network changes live; subscribers receive
+ * `{ reducedMotion, reducedData }` whenever either flag changes.
+ */
+const PolicyConfig = {
+  queries: {
+    reducedMotion: '(prefers-reduced-motion: reduce)',
+    reducedData: '(prefers-reduced-data: reduce)'
+  }
+}
+
+const policyState = () => sharedState('policy', () => ({
+  media: null,
+  listeners: new Set(),
+  current: null
+}))
+
+const readPolicy = (media) => ({
+  reducedMotion: media.reducedMotion.matches,
+  reducedData: media.reducedData.matches || Boolean(navigator.connection?.saveData) || slowConnection()
+})
+
+const notifyPolicy = () => {
+  const state = policyState()
+  const next = readPolicy(state.media)
+  const { current } = state
+
+  if (current.reducedMotion === next.reducedMotion && current.reducedData === next.reducedData) return
+
+  state.current = next
+  state.listeners.forEach(callback => callback(next))
+}
+
+const watchPolicy = () => {
+  const state = policyState()
+  if (state.media) return state
+
+  const { queries } = PolicyConfig
+
+  state.media = {
+    reducedMotion: window.matchMedia(queries.reducedMotion),
+    reducedData: window.matchMedia(queries.reducedData)
+  }
+  state.current = readPolicy(state.media)
+
+  Object.values(state.media).forEach(media => media.addEventListener('change', notifyPolicy))
+  navigator.connection?.addEventListener?.('change', notifyPolicy)
+
+  return state
+}
+
+export const policy = {
+  get reducedMotion() {
+    return watchPolicy().current.reducedMotion
+  },
+
+  get reducedData() {
+    return watchPolicy().current.reducedData
+  },
+
+  subscribe(callback) {
+    const state = watchPolicy()
+
+    state.listeners.add(callback)
+    return () => state.listeners.delete(callback)
+  }
+}
+
 /**
  * Feature detection utilities
  */
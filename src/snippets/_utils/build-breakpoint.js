@@ -0,0 +1,78 @@
+const fs = require('fs')
+const path = require('path')
+
+// The $breakpoint-* variables are the one definition of the theme breakpoints
+const variablesPath = path.resolve(__dirname, '../../scss/_variables.scss')
+const destPath = path.resolve(__dirname, '../../../snippets/breakpoint.liquid')
+
+const readBreakpoints = (file) => {
+  const content = fs.readFileSync(file, 'utf8')
+
+  return Array.from(content.matchAll(/^\$breakpoint-([a-z]+):\s*(\d+)px;/gm), match => ({
+    name: match[1],
+    width: match[2]
+  }))
+}
+
+const renderSnippet = (breakpoints) => {
+  const names = breakpoints.map(({ name }) => name).join(', ')
+  const cases = breakpoints
+    .map(({ name, width }) => `  {%- when '${name}' -%}${width}`)
+    .join('\n')
+
+  return `{%- comment -%}
+  This snippet outputs the width of a theme breakpoint in pixels (number only).
+  Generated from the $breakpoint-* variables in src/scss/_variables.scss by
+  src/snippets/_utils/build-breakpoint.js (npm run build:breakpoints), do not edit.
+  The widths reach JavaScript as --breakpoint-* custom properties set by 'css-root-variables'.
+
+  Parameters:
+  - name: the breakpoint name (${names})
+
+  Required parameters:
+  - name
+
+  Usage:
+
+  {%- capture breakpoint_md -%}
+    {%- render 'breakpoint', name: 'md' -%}
+  {%- endcapture -%}
+{%- endcomment -%}
+
+{%- case name -%}
+${cases}
+{%- endcase -%}
+`
+}
+
+const isWatch = process.argv.includes('--watch')
+
+const build = () => {
+  const breakpoints = readBreakpoints(variablesPath)
+
+  if (!breakpoints.length) {
+    console.error(`No $breakpoint-* variables found in ${variablesPath}`)
+    return false
+  }
+
+  fs.mkdirSync(path.dirname(destPath), { recursive: true })
+  fs.writeFileSync(destPath, renderSnippet(breakpoints))
+  console.log(`breakpoint.liquid: ${breakpoints.length} breakpoints`)
+  return true
+}
+
+if (!build() && !isWatch) process.exit(1)
+
+// The directory is watched, as editors often save by replacing the file;
+// a save fires several events, the build runs once they settle
+if (isWatch) {
+  let timeout = null
+
+  fs.watch(path.dirname(variablesPath), (event, file) => {
+    if (file !== path.basename(variablesPath)) return
+
+    clearTimeout(timeout)
+    timeout = setTimeout(build, 100)
+  })
+  console.log('Watching breakpoint variables for changes...')
+}